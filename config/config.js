@@ -3,11 +3,150 @@
  * Core settings for grid-based caching system
  */
 
+require('dotenv').config();
+
 module.exports = {
   // Grid cell size in meters (approximately)
   // Precision 6 geohash = ~1.2km, precision 7 = ~150m, precision 8 = ~37m
   gridPrecision: 7,
 
+  // Finest precision a grid cell may be split to when a provider query returns its full
+  // result cap (dense areas). Each level multiplies the calls for that cell by up to 32.
+  maxSubdivisionPrecision: 9,
+
+  // Covering a search area: cells fully inside it may be as coarse as minCoverPrecision
+  // (precision 5 = ~4.9km), cells on its edge use gridPrecision. When that needs more
+  // than maxCoverCells cells, the edge precision is lowered until it fits.
+  minCoverPrecision: 5,
+  maxCoverCells: 64,
+
+  // Storage backend: 'mongo' (MongoDB server) or 'embedded' (in-process, no database
+  // server; with a path the data is kept in that .json or .ndjson file between runs)
+  storage: {
+    backend: process.env.STORAGE_BACKEND || 'mongo',
+    mongo: {
+      uri: process.env.MONGODB_URI || 'mongodb://mongo:27017/appdb'
+    },
+    embedded: {
+      path: process.env.EMBEDDED_STORE_PATH || null, // Relative to the project root; null keeps data in memory only
+      flushIntervalMs: 2000 // Delay between a change and writing the file
+    }
+  },
+
+  // Commodity types users weigh, in scoring order (served by GET /api/commodity-types).
+  // providerTypes: places provider types fetched for the commodity (a place counts once even
+  // if it has several of them); defaultWeight: 0-100; icon: shown next to the slider.
+  // utility: distance scoring credit of a place, full up to fullCreditDistance and none past
+  // zeroCreditDistance (meters; 400 / 2000 when unset).
+  // Provider types without an entry in cacheTTLByType are cached for cacheTTL.
+  commodityCatalog: [
+    {
+      id: 'restaurant', label: 'Restaurant', providerTypes: ['restaurant'], defaultWeight: 85, icon: '🍽️',
+      utility: { fullCreditDistance: 300, zeroCreditDistance: 1500 }
+    },
+    {
+      id: 'gas', label: 'Gas', providerTypes: ['gas_station'], defaultWeight: 60, icon: '⛽',
+      utility: { fullCreditDistance: 1000, zeroCreditDistance: 5000 }
+    },
+    {
+      id: 'grocery', label: 'Grocery', providerTypes: ['supermarket'], defaultWeight: 40, icon: '🛒',
+      utility: { fullCreditDistance: 400, zeroCreditDistance: 2000 }
+    },
+    {
+      id: 'pharmacy', label: 'Pharmacy', providerTypes: ['pharmacy'], defaultWeight: 70, icon: '💊',
+      utility: { fullCreditDistance: 500, zeroCreditDistance: 2500 }
+    },
+    {
+      id: 'school', label: 'Schools', providerTypes: ['school'], defaultWeight: 50, icon: '🏫',
+      utility: { fullCreditDistance: 500, zeroCreditDistance: 2000 }
+    }
+  ],
+
   // Cache TTL (Time To Live)
-  cacheTTL: 7 * 24 * 60 * 60 * 1000 // 7 days in milliseconds
+  cacheTTL: 7 * 24 * 60 * 60 * 1000, // 7 days in milliseconds (types without their own TTL)
+
+  // Per commodity type TTLs, matching how often each kind of place changes
+  cacheTTLByType: {
+    restaurant: 30 * 24 * 60 * 60 * 1000, // 30 days
+    gas_station: 90 * 24 * 60 * 60 * 1000, // 90 days
+    supermarket: 90 * 24 * 60 * 60 * 1000, // 90 days
+    pharmacy: 90 * 24 * 60 * 60 * 1000, // 90 days
+    school: 365 * 24 * 60 * 60 * 1000 // 1 year
+  },
+
+  // Stale-while-revalidate: for this long after expiring, a grid is still served from the
+  // cache while a background refresh fetches it again. Older grids are fetched before answering.
+  cacheStaleWindow: 7 * 24 * 60 * 60 * 1000, // 7 days in milliseconds
+
+  // In-process LRU tier in front of the MongoDB cache (fresh grids and their places,
+  // keyed by geohash and commodity type). Hit and miss counts are in the cache stats.
+  memoryCache: {
+    maxEntries: parseInt(process.env.MEMORY_CACHE_MAX_ENTRIES || '10000', 10), // 0 disables the tier
+    maxBytes: parseInt(process.env.MEMORY_CACHE_MAX_MB || '64', 10) * 1024 * 1024
+  },
+
+  // Parallel fetching: commodity types of one /api/commodities request, and uncached
+  // grid cells of one type. Provider calls in flight per request: up to types x grids.
+  fetchConcurrency: {
+    types: 5,
+    grids: 4
+  },
+
+  // Region prewarming (db/prewarm.js and POST /api/admin/prewarm)
+  prewarm: {
+    concurrency: 4, // Cells fetched in parallel
+    maxCells: 5000 // Cover size limit per area: edge precision is lowered until the cover fits
+  },
+
+  // Provider spend limits (same unit as costPerCall, unlimited when unset). Days and months
+  // are UTC; once a limit is reached requests are answered from the cache only.
+  spend: {
+    dailyBudget: process.env.SPEND_DAILY_BUDGET ? Number(process.env.SPEND_DAILY_BUDGET) : null,
+    monthlyBudget: process.env.SPEND_MONTHLY_BUDGET ? Number(process.env.SPEND_MONTHLY_BUDGET) : null
+  },
+
+  // Token required in the X-Admin-Token header of /api/admin/* routes (admin API disabled when unset)
+  adminToken: process.env.ADMIN_TOKEN || null,
+
+  // Places provider used by DataManager.fetchData
+  // 'file' (default) answers from a local dataset (offline), 'google' calls the Google Places API
+  placesProvider: {
+    type: process.env.PLACES_PROVIDER || 'file',
+    maxResultCount: 20, // Google Places caps searchNearby at 20 results
+
+    // Provider calls one API request may make, subdivisions and retries included (null for no limit).
+    // Cells left over are answered from the cache where possible and fetched by later requests.
+    maxCallsPerRequest: process.env.PLACES_MAX_CALLS_PER_REQUEST ? Number(process.env.PLACES_MAX_CALLS_PER_REQUEST) : 50,
+
+    // Retries of failed searches (rate limits, server errors, timeouts): exponential backoff with jitter
+    retry: {
+      retries: 3,
+      baseDelayMs: 500,
+      maxDelayMs: 8000
+    },
+
+    // After failureThreshold consecutive failed searches the provider is not called for resetTimeoutMs;
+    // requests are answered from the cache, including grids expired past the stale window
+    circuitBreaker: {
+      failureThreshold: 5,
+      resetTimeoutMs: 30 * 1000
+    },
+
+    google: {
+      apiKey: process.env.GOOGLE_PLACES_API_KEY || null, // Required unless traffic is replayed
+      costPerCall: 0.032 // Estimated cost of one searchNearby call (CAD, ~$32 per 1,000 calls)
+    },
+
+    // Record upstream request/response pairs to disk, or replay them with no network
+    // mode: 'off', 'record' or 'replay'; dir is relative to the project root
+    traffic: {
+      mode: process.env.PLACES_TRAFFIC_MODE || 'off',
+      dir: process.env.PLACES_RECORDINGS_DIR || 'db/recordings'
+    },
+
+    file: {
+      // GeoJSON FeatureCollection (.geojson/.json) or NDJSON (.ndjson), relative to the project root
+      path: process.env.PLACES_DATASET_PATH || 'db/fixtures/montreal-places.geojson'
+    }
+  }
 };
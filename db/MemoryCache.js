@@ -0,0 +1,145 @@
+/**
+ * Memory Cache:
+ * in-process LRU cache bounded by entry count and approximate size in bytes
+ *
+ * Entries carry their own expiry time and are dropped when read after it. The cache is
+ * local to the process: writes and purges made by other processes are only picked up
+ * once the affected entries expire or are evicted.
+ */
+
+class MemoryCache {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxEntries - Maximum number of entries (0 disables the cache)
+     * @param {number} options.maxBytes - Maximum total size of the entries (JSON length estimate)
+     */
+    constructor({ maxEntries = 5000, maxBytes = 64 * 1024 * 1024 } = {}) {
+        this.maxEntries = maxEntries;
+        this.maxBytes = maxBytes;
+        this.entries = new Map(); // key -> { value, expiresAt, bytes }, least recently used first
+        this.bytes = 0;
+        this.hits = 0;
+        this.misses = 0;
+        this.evictions = 0;
+    }
+
+    /**
+     * Whether the cache stores anything at all
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return this.maxEntries > 0 && this.maxBytes > 0;
+    }
+
+    /**
+     * Look up an entry without counting a hit or miss or changing its recency
+     * @param {string} key - Cache key
+     * @returns {{value: *, expiresAt: number}|null} Unexpired entry, or null
+     */
+    peek(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt <= Date.now()) {
+            this.delete(key);
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * Get a value, marking it as most recently used
+     * @param {string} key - Cache key
+     * @returns {*} Value, or undefined when absent or expired (counted as a miss)
+     */
+    get(key) {
+        const entry = this.peek(key);
+        if (!entry) {
+            this.misses += 1;
+            return undefined;
+        }
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.hits += 1;
+        return entry.value;
+    }
+
+    /**
+     * Store a value, evicting least recently used entries to stay within the bounds
+     * Values larger than maxBytes on their own are not stored.
+     * @param {string} key - Cache key
+     * @param {*} value - JSON-serialisable value
+     * @param {number|Date} expiresAt - When the entry expires
+     * @returns {boolean} True if the value was stored
+     */
+    set(key, value, expiresAt) {
+        this.delete(key);
+        if (!this.isEnabled()) return false;
+
+        const bytes = Buffer.byteLength(JSON.stringify(value) || '') + key.length;
+        if (bytes > this.maxBytes) return false;
+
+        this.entries.set(key, { value, expiresAt: Number(expiresAt), bytes });
+        this.bytes += bytes;
+
+        for (const oldest of this.entries.keys()) {
+            if (this.entries.size <= this.maxEntries && this.bytes <= this.maxBytes) break;
+            this.delete(oldest);
+            this.evictions += 1;
+        }
+        return true;
+    }
+
+    /**
+     * Remove an entry
+     * @param {string} key - Cache key
+     * @returns {boolean} True if there was an entry
+     */
+    delete(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return false;
+        this.entries.delete(key);
+        this.bytes -= entry.bytes;
+        return true;
+    }
+
+    /**
+     * Remove every entry whose key matches a predicate
+     * @param {Function} predicate - (key) => boolean
+     * @returns {number} Number of entries removed
+     */
+    deleteWhere(predicate) {
+        let removed = 0;
+        for (const key of [...this.entries.keys()]) {
+            if (predicate(key) && this.delete(key)) removed += 1;
+        }
+        return removed;
+    }
+
+    /**
+     * Remove every entry (hit and miss counters are kept)
+     */
+    clear() {
+        this.entries.clear();
+        this.bytes = 0;
+    }
+
+    /**
+     * Size and effectiveness of the cache
+     * @returns {Object} { entries, bytes, maxEntries, maxBytes, hits, misses, hitRate, evictions }
+     */
+    getStats() {
+        const lookups = this.hits + this.misses;
+        return {
+            entries: this.entries.size,
+            bytes: this.bytes,
+            maxEntries: this.maxEntries,
+            maxBytes: this.maxBytes,
+            hits: this.hits,
+            misses: this.misses,
+            hitRate: lookups > 0 ? this.hits / lookups : null,
+            evictions: this.evictions
+        };
+    }
+}
+
+module.exports = MemoryCache;
@@ -0,0 +1,100 @@
+/**
+ * Migration Runner:
+ * applies the versioned schema migrations of db/migrations to MongoDB, in order
+ *
+ * A migration is a file named <number>-<name>.js exporting { description, up(context) };
+ * up receives { models, config } and returns a summary that is stored with the record
+ * of the migration in the migrations collection. Applied migrations are never run again,
+ * so a change to a shipped migration belongs in a new file. Migrations must be safe to
+ * re-run: a migration that fails midway is not recorded and runs again next time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const models = require('./models');
+const config = require('../config/config');
+
+const MIGRATION_FILE = /^\d+-[\w-]+\.js$/;
+
+class MigrationRunner {
+    /**
+     * @param {Object} options
+     * @param {string} options.dir - Directory of the migration files
+     */
+    constructor({ dir = path.join(__dirname, 'migrations') } = {}) {
+        this.dir = dir;
+    }
+
+    /**
+     * Migrations found in the directory, in order
+     * @returns {Array<{name: string, description: string, up: Function}>}
+     */
+    loadMigrations() {
+        return fs.readdirSync(this.dir)
+            .filter(file => MIGRATION_FILE.test(file))
+            .sort((a, b) => parseInt(a, 10) - parseInt(b, 10) || a.localeCompare(b))
+            .map(file => {
+                const migration = require(path.join(this.dir, file));
+                if (typeof migration.up !== 'function') {
+                    throw new Error(`Migration ${file} does not export an up() function`);
+                }
+                return { name: path.basename(file, '.js'), description: migration.description || '', up: migration.up };
+            });
+    }
+
+    /**
+     * Every migration with its applied record
+     * @returns {Promise<Array<{name: string, description: string, appliedAt: Date|null}>>}
+     */
+    async getStatus() {
+        const applied = await models.Migration.find().lean();
+        const appliedByName = new Map(applied.map(record => [record.name, record]));
+        return this.loadMigrations().map(({ name, description }) => ({
+            name,
+            description,
+            appliedAt: appliedByName.has(name) ? appliedByName.get(name).appliedAt : null
+        }));
+    }
+
+    /**
+     * Apply the pending migrations in order, stopping at the first failure
+     * @param {Object} options
+     * @param {boolean} options.dryRun - Only list the pending migrations
+     * @returns {Promise<Array<Object>>} Migrations applied (or pending, on a dry run): { name, description, result, durationMs }
+     * @throws {Error} Error of the failed migration (earlier ones stay applied)
+     */
+    async migrate({ dryRun = false } = {}) {
+        const applied = new Set((await models.Migration.find({}, { name: 1 }).lean()).map(record => record.name));
+        const pending = this.loadMigrations().filter(migration => !applied.has(migration.name));
+
+        if (pending.length === 0) {
+            console.log('✅ Database schema is up to date');
+            return [];
+        }
+        if (dryRun) {
+            pending.forEach(({ name, description }) => console.log(`  pending: ${name} - ${description}`));
+            return pending.map(({ name, description }) => ({ name, description }));
+        }
+
+        const done = [];
+        for (const migration of pending) {
+            console.log(`🔧 Applying ${migration.name}: ${migration.description}`);
+            const startedAt = Date.now();
+            let result;
+            try {
+                result = await migration.up({ models, config });
+            } catch (error) {
+                console.error(`❌ Migration ${migration.name} failed:`, error.message);
+                throw error;
+            }
+            const durationMs = Date.now() - startedAt;
+
+            await models.Migration.create({ name: migration.name, description: migration.description, result, durationMs });
+            console.log(`✅ ${migration.name} applied in ${durationMs}ms`, result || '');
+            done.push({ name: migration.name, description: migration.description, result, durationMs });
+        }
+        return done;
+    }
+}
+
+module.exports = MigrationRunner;
@@ -0,0 +1,292 @@
+/**
+ * Region Prewarmer:
+ * fills the cache for an area ahead of user traffic
+ *
+ * A job covers its area with geohash cells (coarse interior, gridPrecision edge) and
+ * fetches every (cell, commodity type) pair through DataManager.fetchCell with bounded
+ * concurrency; coarse cells are fetched as their gridPrecision cells. Cells that are
+ * already cached cost nothing, so an interrupted job is resumed by simply walking the
+ * cover again; the job document only carries the settings, the spend so far and the
+ * progress of the current run.
+ *
+ * What is left of the job's budget becomes a call allowance shared by every cell of a
+ * run: each provider call, including those of subdivisions, is taken from it, so a run
+ * never spends more than the budget. A cell stopped halfway keeps the cells it fetched
+ * and their cost. Running out of allowance, or reaching the global daily or monthly
+ * provider budget (SpendLedger), stops the job as 'budget_exhausted'. A run in which
+ * some cells failed ends as 'failed' and can be resumed to retry them.
+ */
+
+const geohashCover = require('./geohashCover');
+const { mapWithConcurrency } = require('./asyncPool');
+const { BudgetExceededError } = require('./SpendLedger');
+const { CallAllowance, CallLimitError, CircuitOpenError } = require('./resilience');
+const config = require('../config/config');
+
+// Save job progress every N processed cells
+const PROGRESS_INTERVAL = 25;
+
+class Prewarmer {
+    /**
+     * @param {DataManager} dataManager - Data manager used to fetch and cache cells
+     * @param {Object} options
+     * @param {Function} options.onProgress - Optional: called with the job document after each progress save
+     */
+    constructor(dataManager, { onProgress = null } = {}) {
+        this.dataManager = dataManager;
+        this.jobs = dataManager.storage.prewarmJobs;
+        this.onProgress = onProgress;
+        this.costPerCall = dataManager.placesProvider.costPerCall;
+        this.concurrency = config.prewarm.concurrency;
+        this.maxCells = config.prewarm.maxCells;
+        this.activeJobs = new Map(); // jobId -> { stopRequested }
+    }
+
+    /**
+     * Geohash cells covering an area
+     * @param {Object} area - GeoJSON Polygon or MultiPolygon
+     * @returns {Array<string>} Geohashes
+     */
+    getCells(area) {
+        return geohashCover.coverShapeMixed(geohashCover.createPolygon(area), {
+            minPrecision: Math.min(config.minCoverPrecision, this.dataManager.gridPrecision),
+            maxPrecision: this.dataManager.gridPrecision,
+            maxCells: this.maxCells
+        });
+    }
+
+    /**
+     * Provider calls a job would make at least: one per uncached gridPrecision cell and type
+     * Coarse cells of the cover are expanded one at a time, as fetchCell does. Cells that hit
+     * the provider's result cap are subdivided and cost more.
+     * @param {Object} area - GeoJSON Polygon or MultiPolygon
+     * @param {Array<string>} commodityTypes - Commodity types to fetch
+     * @returns {Promise<{cells: number, units: number, calls: number}>} Cover cells, (cell, type) units and minimum calls
+     */
+    async estimate(area, commodityTypes) {
+        const { cacheManager, gridPrecision } = this.dataManager;
+        const cells = this.getCells(area);
+        let calls = 0;
+
+        for (const commodityType of commodityTypes) {
+            const cachedCells = new Set(await cacheManager.getCachedGridIds(cells, commodityType));
+            for (const gridId of cells.filter(cell => !cachedCells.has(cell))) {
+                if (gridId.length >= gridPrecision) {
+                    calls += 1;
+                    continue;
+                }
+                const cellIds = geohashCover.expandToPrecision([gridId], gridPrecision);
+                calls += cellIds.length - (await cacheManager.getCachedGridIds(cellIds, commodityType)).length;
+            }
+        }
+        return { cells: cells.length, units: cells.length * commodityTypes.length, calls };
+    }
+
+    /**
+     * Create a job and start running it in the background
+     * @param {Object} options
+     * @param {Object} options.area - GeoJSON Polygon or MultiPolygon
+     * @param {Array<string>} options.commodityTypes - Commodity types to fetch
+     * @param {number} options.budget - Spend limit (same unit as the provider's costPerCall)
+     * @param {number} options.concurrency - Optional: cells fetched in parallel
+     * @returns {Promise<{job: Object, done: Promise<Object>}>} Created job, and a promise of the finished job
+     */
+    async start({ area, commodityTypes, budget, concurrency = this.concurrency }) {
+        // Validate the area before storing it
+        this.getCells(area);
+
+        const job = await this.jobs.create({ area, commodityTypes, budget, concurrency });
+        console.log(`🔥 Prewarm job ${job._id} created: ${commodityTypes.join(', ')}, budget ${budget}`);
+        return { job, done: this.run(job) };
+    }
+
+    /**
+     * Resume a paused, failed, budget exhausted or interrupted job
+     * @param {string} jobId - Job ID
+     * @param {Object} options
+     * @param {number} options.budget - Optional: new spend limit (e.g. to continue after budget_exhausted)
+     * @returns {Promise<{job: Object, done: Promise<Object>}|null>} Resumed job (null if not found)
+     */
+    async resume(jobId, { budget } = {}) {
+        if (this.activeJobs.has(String(jobId))) {
+            throw new Error(`Prewarm job ${jobId} is already running`);
+        }
+        const job = await this.jobs.findById(jobId);
+        if (!job) return null;
+        if (job.status === 'completed') {
+            throw new Error(`Prewarm job ${jobId} is already completed`);
+        }
+
+        if (budget !== undefined) job.budget = budget;
+        console.log(`🔥 Resuming prewarm job ${job._id} (spent ${job.estimatedCost.toFixed(2)} of ${job.budget})`);
+        return { job, done: this.run(job) };
+    }
+
+    /**
+     * Resume every job left in the 'running' state by a process that stopped mid-run
+     * @returns {Promise<Array<Object>>} Resumed jobs
+     */
+    async resumeInterrupted() {
+        const jobs = await this.jobs.findByStatus('running');
+        const resumed = [];
+        for (const job of jobs) {
+            if (this.activeJobs.has(String(job._id))) continue;
+            console.log(`🔥 Resuming interrupted prewarm job ${job._id}`);
+            this.run(job);
+            resumed.push(job);
+        }
+        return resumed;
+    }
+
+    /**
+     * Ask a running job to stop after the cells in flight; it is saved as 'paused'
+     * @param {string} jobId - Job ID
+     * @returns {boolean} True if the job was running in this process
+     */
+    pause(jobId) {
+        const active = this.activeJobs.get(String(jobId));
+        if (!active) return false;
+        active.stopRequested = true;
+        return true;
+    }
+
+    /**
+     * Get a job
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object|null>} Job document
+     */
+    async getJob(jobId) {
+        return this.jobs.findById(jobId);
+    }
+
+    /**
+     * List recent jobs
+     * @param {number} limit - Maximum number of jobs
+     * @returns {Promise<Array<Object>>} Jobs, newest first
+     */
+    async listJobs(limit = 20) {
+        return this.jobs.listRecent(limit);
+    }
+
+    /**
+     * Walk the job's cover and fetch every uncached (cell, type) pair
+     * Never rejects: errors are recorded on the job as status 'failed'.
+     * @param {Object} job - Prewarm job
+     * @returns {Promise<Object>} Job after the run
+     */
+    async run(job) {
+        const jobId = String(job._id);
+        const active = { stopRequested: false };
+        this.activeJobs.set(jobId, active);
+
+        try {
+            const cells = this.getCells(job.area);
+            const units = cells.flatMap(gridId => job.commodityTypes.map(commodityType => ({ gridId, commodityType })));
+
+            job.status = 'running';
+            job.runs += 1;
+            job.error = null;
+            job.finishedAt = null;
+            job.progress = { total: units.length, processed: 0, cached: 0, fetched: 0, failed: 0 };
+            await this.saveProgress(job);
+            console.log(`🔥 Prewarm job ${jobId}: ${cells.length} cells x ${job.commodityTypes.length} types = ${units.length} units`);
+
+            const callAllowance = this.getCallAllowance(job);
+            let budgetExhausted = false;
+            let providerUnavailable = null;
+            const shouldStop = () => {
+                if (active.stopRequested || budgetExhausted || providerUnavailable) return true;
+                if (callAllowance.remaining() < 1) {
+                    budgetExhausted = true;
+                    return true;
+                }
+                return false;
+            };
+
+            await mapWithConcurrency(units, job.concurrency || this.concurrency, async ({ gridId, commodityType }) => {
+                try {
+                    const result = await this.dataManager.fetchCell(gridId, commodityType, { trigger: `prewarm:${jobId}`, callAllowance });
+                    job.calls += result.calls;
+                    job.estimatedCost += result.calls * this.costPerCall;
+                    job.placeCount += result.placeCount;
+                    // An interrupted cell keeps what it fetched but is left for a later run
+                    if (result.error) throw result.error;
+                    if (result.cached) {
+                        job.progress.cached += 1;
+                    } else {
+                        job.progress.fetched += 1;
+                    }
+                } catch (error) {
+                    console.error(`❌ Prewarm ${gridId} (${commodityType}) failed:`, error.message);
+                    job.progress.failed += 1;
+                    // The job's call allowance and the daily / monthly provider budget both stop the job
+                    if (error instanceof BudgetExceededError || error instanceof CallLimitError) budgetExhausted = true;
+                    // Stop rather than fail every remaining cell while the provider is down
+                    if (error instanceof CircuitOpenError) providerUnavailable = error;
+                }
+
+                job.progress.processed += 1;
+                if (job.progress.processed % PROGRESS_INTERVAL === 0) {
+                    await this.saveProgress(job);
+                }
+            }, shouldStop);
+
+            const { processed, total, failed } = job.progress;
+            if (processed === total && failed === 0) {
+                job.status = 'completed';
+            } else if (active.stopRequested) {
+                job.status = 'paused';
+            } else if (providerUnavailable) {
+                job.status = 'paused';
+                job.error = providerUnavailable.message;
+            } else if (budgetExhausted) {
+                job.status = 'budget_exhausted';
+            } else {
+                // Resuming retries the failed cells; the others are cached by now
+                job.status = 'failed';
+                job.error = `${failed} of ${total} units failed`;
+            }
+            if (job.status !== 'paused') job.finishedAt = new Date();
+            await this.saveProgress(job);
+
+            const { fetched } = job.progress;
+            console.log(`✅ Prewarm job ${jobId} ${job.status}: ${processed}/${total} units, ${fetched} fetched, ${failed} failed, ${job.calls} calls (~${job.estimatedCost.toFixed(2)})`);
+        } catch (error) {
+            console.error(`❌ Prewarm job ${jobId} failed:`, error.message);
+            job.status = 'failed';
+            job.error = error.message;
+            job.finishedAt = new Date();
+            await this.saveProgress(job).catch(saveError => console.error('❌ Could not save prewarm job:', saveError.message));
+        } finally {
+            this.activeJobs.delete(jobId);
+        }
+
+        return job;
+    }
+
+    /**
+     * Provider calls a run of the job may make with what is left of its budget
+     * @param {Object} job - Prewarm job
+     * @returns {CallAllowance} Allowance shared by the cells of the run (no limit when calls are free)
+     */
+    getCallAllowance(job) {
+        if (!(this.costPerCall > 0)) return new CallAllowance(null);
+        // The epsilon keeps float error from costing a call the budget covers exactly
+        const calls = Math.floor((job.budget - job.estimatedCost) / this.costPerCall + 1e-9);
+        return new CallAllowance(Math.max(0, calls));
+    }
+
+    /**
+     * Save a job's progress and report it
+     * Only the fields a run changes are written, so workers can save while another save is in flight.
+     * @param {Object} job - Prewarm job
+     * @returns {Promise<void>}
+     */
+    async saveProgress(job) {
+        const { status, progress, calls, estimatedCost, placeCount, runs, budget, error, finishedAt } = job;
+        await this.jobs.update(job._id, { status, progress, calls, estimatedCost, placeCount, runs, budget, error, finishedAt });
+        if (this.onProgress) this.onProgress(job);
+    }
+}
+
+module.exports = Prewarmer;
@@ -0,0 +1,226 @@
+/**
+ * Spend Ledger:
+ * records every outbound places provider call and enforces daily / monthly budgets
+ *
+ * Calls are stored in the apiCalls repository of the storage backend. Budget checks use spend totals that are
+ * loaded from the ledger and kept up to date in memory, reloaded every refreshInterval
+ * (or when the UTC day / month rolls over) so several server processes converge on
+ * the same totals without aggregating the ledger before every call.
+ *
+ * A call reserves its cost before it starts (reserve) and settles it once it is done
+ * (record), so concurrent calls in this process see each other's spend and cannot all
+ * pass the budget check before any of them is recorded.
+ */
+
+const { getStorage } = require('./storage');
+
+/**
+ * Thrown when a provider call would exceed the daily or monthly budget
+ */
+class BudgetExceededError extends Error {
+    /**
+     * @param {string} period - 'daily' or 'monthly'
+     * @param {number} spent - Amount spent in the period
+     * @param {number} budget - Budget of the period
+     */
+    constructor(period, spent, budget) {
+        super(`${period} provider budget exhausted (${spent.toFixed(2)} of ${budget})`);
+        this.name = 'BudgetExceededError';
+        this.period = period;
+        this.spent = spent;
+        this.budget = budget;
+    }
+}
+
+/**
+ * Start of the UTC day containing a date
+ * @param {Date} date - Date
+ * @returns {Date}
+ */
+function startOfUTCDay(date) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+/**
+ * Start of the UTC month containing a date
+ * @param {Date} date - Date
+ * @returns {Date}
+ */
+function startOfUTCMonth(date) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+}
+
+class SpendLedger {
+    /**
+     * @param {Object} options
+     * @param {number|null} options.dailyBudget - Spend limit per UTC day (null for no limit)
+     * @param {number|null} options.monthlyBudget - Spend limit per UTC month (null for no limit)
+     * @param {number} options.refreshInterval - How often totals are reloaded from the ledger (ms)
+     * @param {Object} options.storage - Storage backend holding the ledger (default: the configured one)
+     */
+    constructor({ dailyBudget = null, monthlyBudget = null, refreshInterval = 60 * 1000, storage = getStorage() } = {}) {
+        this.apiCalls = storage.apiCalls;
+        this.dailyBudget = dailyBudget;
+        this.monthlyBudget = monthlyBudget;
+        this.refreshInterval = refreshInterval;
+        this.totals = null; // { day, daily, monthly, loadedAt }
+        this.reserved = 0; // Cost of calls in flight, reserved but not recorded yet
+    }
+
+    /**
+     * Current spend totals, reloaded from the ledger when out of date
+     * @returns {Promise<{daily: number, monthly: number}>} Spend of the current UTC day and month
+     */
+    async getTotals() {
+        const now = new Date();
+        const day = startOfUTCDay(now);
+        const month = startOfUTCMonth(now);
+
+        const isCurrent = this.totals &&
+            this.totals.day.getTime() === day.getTime() &&
+            now - this.totals.loadedAt < this.refreshInterval;
+        if (!isCurrent) {
+            const { daily, monthly } = await this.apiCalls.getSpendTotals(month, day);
+            this.totals = { day, daily, monthly, loadedAt: now };
+        }
+
+        return { daily: this.totals.daily, monthly: this.totals.monthly };
+    }
+
+    /**
+     * Check whether a call of the given cost fits in the budgets, next to the reserved calls
+     * Synchronous, so a caller can reserve the cost before anything else runs.
+     * @param {{daily: number, monthly: number}} totals - Spend totals from getTotals
+     * @param {number} cost - Estimated cost of the call
+     * @returns {{ok: boolean, period: string|null, spent: number, budget: number|null}}
+     *   period is the exhausted budget ('daily' or 'monthly') when ok is false; spent includes reservations
+     */
+    checkTotals(totals, cost) {
+        const daily = totals.daily + this.reserved;
+        const monthly = totals.monthly + this.reserved;
+        if (this.dailyBudget !== null && daily + cost > this.dailyBudget) {
+            return { ok: false, period: 'daily', spent: daily, budget: this.dailyBudget };
+        }
+        if (this.monthlyBudget !== null && monthly + cost > this.monthlyBudget) {
+            return { ok: false, period: 'monthly', spent: monthly, budget: this.monthlyBudget };
+        }
+        return { ok: true, period: null, spent: daily, budget: this.dailyBudget };
+    }
+
+    /**
+     * Check whether a call of the given cost fits in the budgets
+     * @param {number} cost - Estimated cost of the call
+     * @returns {Promise<{ok: boolean, period: string|null, spent: number, budget: number|null}>}
+     *   period is the exhausted budget ('daily' or 'monthly') when ok is false
+     */
+    async checkBudget(cost) {
+        if (this.dailyBudget === null && this.monthlyBudget === null) {
+            return { ok: true, period: null, spent: 0, budget: null };
+        }
+        return this.checkTotals(await this.getTotals(), cost);
+    }
+
+    /**
+     * Reserve the cost of a call before making it
+     * The reservation counts against the budgets until record settles it.
+     * @param {number} cost - Estimated cost of the call
+     * @returns {Promise<number>} Reserved amount, to pass to record
+     * @throws {BudgetExceededError} When the call does not fit in the budgets
+     */
+    async reserve(cost) {
+        if (this.dailyBudget === null && this.monthlyBudget === null) {
+            return 0;
+        }
+
+        const check = this.checkTotals(await this.getTotals(), cost);
+        if (!check.ok) {
+            throw new BudgetExceededError(check.period, check.spent, check.budget);
+        }
+        // No await between the check and the reservation: concurrent calls see it
+        this.reserved += cost;
+        return cost;
+    }
+
+    /**
+     * Record a provider call and settle its reservation
+     * Ledger write errors are logged, not thrown: a call that already happened must not fail
+     * the request that made it.
+     * @param {Object} entry - ApiCall fields (provider, commodityType, geohash, lat, lng, radius,
+     *   resultCount, estimatedCost, trigger, success, error, durationMs)
+     * @param {number} reserved - Amount reserved for the call (from reserve)
+     * @returns {Promise<void>}
+     */
+    async record(entry, reserved = 0) {
+        this.reserved = Math.max(0, this.reserved - reserved);
+        if (this.totals && entry.estimatedCost) {
+            this.totals.daily += entry.estimatedCost;
+            this.totals.monthly += entry.estimatedCost;
+        }
+        try {
+            await this.apiCalls.create(entry);
+        } catch (error) {
+            console.error(`❌ Could not record provider call: ${error.message}`);
+        }
+    }
+
+    /**
+     * Budget status of the current UTC day and month
+     * @returns {Promise<Object>} { daily: {spent, budget, remaining}, monthly: {...}, exhausted }
+     */
+    async getStatus() {
+        const totals = await this.getTotals();
+        const period = (spent, budget) => ({
+            spent,
+            budget,
+            remaining: budget === null ? null : Math.max(0, budget - spent)
+        });
+        const daily = period(totals.daily, this.dailyBudget);
+        const monthly = period(totals.monthly, this.monthlyBudget);
+
+        return {
+            daily,
+            monthly,
+            exhausted: daily.remaining === 0 || monthly.remaining === 0
+        };
+    }
+
+    /**
+     * Spend report grouped by UTC day or week (weeks start on Monday)
+     * @param {string} unit - 'day' or 'week'
+     * @param {number} count - Number of periods, ending with the current one
+     * @returns {Promise<Array<Object>>} [{ period, calls, failedCalls, results, estimatedCost, byCommodityType }], oldest first
+     */
+    async getReport(unit, count) {
+        const now = new Date();
+        let since = startOfUTCDay(now);
+        if (unit === 'week') {
+            since = new Date(since.getTime() - ((since.getUTCDay() + 6) % 7) * 24 * 60 * 60 * 1000);
+        }
+        const periodLength = (unit === 'week' ? 7 : 1) * 24 * 60 * 60 * 1000;
+        since = new Date(since.getTime() - (count - 1) * periodLength);
+
+        const rows = await this.apiCalls.getReport(since, unit);
+
+        // Every period in the range, including those without calls
+        const report = [];
+        for (let i = 0; i < count; i++) {
+            const period = new Date(since.getTime() + i * periodLength);
+            report.push({ period, calls: 0, failedCalls: 0, results: 0, estimatedCost: 0, byCommodityType: {} });
+        }
+
+        rows.forEach(({ period, commodityType, ...stats }) => {
+            const entry = report.find(r => r.period.getTime() === period.getTime());
+            if (!entry) return;
+            entry.calls += stats.calls;
+            entry.failedCalls += stats.failedCalls;
+            entry.results += stats.results;
+            entry.estimatedCost += stats.estimatedCost;
+            entry.byCommodityType[commodityType || 'unknown'] = stats;
+        });
+
+        return report;
+    }
+}
+
+module.exports = SpendLedger;
+module.exports.BudgetExceededError = BudgetExceededError;
@@ -0,0 +1,34 @@
+/**
+ * Async Pool:
+ * run async work over a list with a bounded number of tasks in flight
+ */
+
+/**
+ * Map items through an async function with at most `limit` calls running at once
+ * Results keep the order of the items. Stops scheduling new items once shouldStop() returns true.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - async (item, index) => result
+ * @param {Function} shouldStop - Optional: () => boolean, checked before each item starts
+ * @returns {Promise<Array>} Results (undefined for items that were not started)
+ */
+async function mapWithConcurrency(items, limit, fn, shouldStop = () => false) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function worker() {
+        while (next < items.length && !shouldStop()) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+
+    const workers = [];
+    for (let i = 0; i < Math.max(1, Math.min(limit, items.length)); i++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+    return results;
+}
+
+module.exports = { mapWithConcurrency };
@@ -1,26 +1,26 @@
 /**
- * Basic MongoDB Connection
+ * Storage connection of the process (MongoDB or the embedded store, see config.storage)
  */
 
-const mongoose = require('mongoose');
-require('dotenv').config();
-
-const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://mongo:27017/appdb';
+const { getStorage } = require('./storage');
+const config = require('../config/config');
 
+/**
+ * Connect the configured storage backend
+ * @returns {Promise<void>}
+ * @throws {Error} When the backend cannot be reached or loaded; callers decide whether to stop
+ */
 async function connect() {
   try {
-    console.log('Connecting to MongoDB at:', MONGODB_URI);
-    await mongoose.connect(MONGODB_URI);
-    console.log('✅ Connected to MongoDB');
+    await getStorage().connect();
   } catch (error) {
-    console.error('❌ MongoDB connection error:', error);
-    process.exit(1);
+    console.error(`❌ Storage connection error (${config.storage.backend}):`, error.message);
+    throw error;
   }
 }
 
 async function disconnect() {
-  await mongoose.disconnect();
-  console.log('Disconnected from MongoDB');
+  await getStorage().disconnect();
 }
 
 module.exports = { connect, disconnect };
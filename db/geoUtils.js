@@ -0,0 +1,109 @@
+/**
+ * Geo Utilities:
+ * small helpers for distance and coordinate handling shared by the db layer
+ */
+
+const ngeohash = require('ngeohash');
+
+const EARTH_RADIUS_METERS = 6371000;
+
+/**
+ * Distance between two geographic points using the Haversine formula
+ * @param {Object} point1 - {lat, lng}
+ * @param {Object} point2 - {lat, lng}
+ * @returns {number} Distance in meters
+ */
+function haversineDistance(point1, point2) {
+    const toRad = deg => (deg * Math.PI) / 180;
+    const dLat = toRad(point2.lat - point1.lat);
+    const dLng = toRad(point2.lng - point1.lng);
+    const a =
+        Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+        Math.cos(toRad(point1.lat)) * Math.cos(toRad(point2.lat)) *
+        Math.sin(dLng / 2) * Math.sin(dLng / 2);
+    return EARTH_RADIUS_METERS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Read {lat, lng} from a stored place (GeoJSON Point or legacy {lat, lng})
+ * @param {Object} place - Place object or document
+ * @returns {{lat: number, lng: number}|null} Coordinates, or null if missing
+ */
+function getPlaceLatLng(place) {
+    const location = place && place.location;
+    if (!location) return null;
+    if (Array.isArray(location.coordinates) && location.coordinates.length >= 2) {
+        return { lat: location.coordinates[1], lng: location.coordinates[0] };
+    }
+    if (typeof location.lat === 'number' && typeof location.lng === 'number') {
+        return { lat: location.lat, lng: location.lng };
+    }
+    return null;
+}
+
+/**
+ * Whether a stored place lies inside a geohash cell
+ * Places carry the geohash of their gridPrecision cell; a finer cell (a sub-cell of a
+ * subdivision) is matched by the place's location.
+ * @param {Object} place - Place document with geohash and location
+ * @param {string} gridId - Geohash grid ID (any precision)
+ * @returns {boolean}
+ */
+function isPlaceInCell(place, gridId) {
+    if (typeof place.geohash !== 'string') return false;
+    if (gridId.length <= place.geohash.length) return place.geohash.startsWith(gridId);
+    if (!gridId.startsWith(place.geohash)) return false;
+    const location = getPlaceLatLng(place);
+    return Boolean(location) && ngeohash.encode(location.lat, location.lng, gridId.length) === gridId;
+}
+
+/**
+ * Build a GeoJSON Point from coordinates
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {{type: string, coordinates: Array<number>}} GeoJSON Point ([lng, lat])
+ */
+function toGeoJSONPoint(lat, lng) {
+    return { type: 'Point', coordinates: [lng, lat] };
+}
+
+/**
+ * Build a closed GeoJSON Polygon from a bounding box
+ * @param {{lat: number, lng: number}} sw - South-west corner
+ * @param {{lat: number, lng: number}} ne - North-east corner
+ * @returns {{type: string, coordinates: Array}} GeoJSON Polygon (counter-clockwise ring)
+ */
+function boxToPolygon(sw, ne) {
+    return {
+        type: 'Polygon',
+        coordinates: [[
+            [sw.lng, sw.lat],
+            [ne.lng, sw.lat],
+            [ne.lng, ne.lat],
+            [sw.lng, ne.lat],
+            [sw.lng, sw.lat]
+        ]]
+    };
+}
+
+/**
+ * Extract a Polygon or MultiPolygon geometry from GeoJSON
+ * Accepts a bare geometry, a Feature or a FeatureCollection (first feature is used).
+ * @param {Object} geojson - GeoJSON object
+ * @returns {Object|null} Polygon or MultiPolygon geometry, or null if there is none
+ */
+function getPolygonGeometry(geojson) {
+    if (!geojson || typeof geojson !== 'object') return null;
+    if (geojson.type === 'FeatureCollection') {
+        return getPolygonGeometry((geojson.features || [])[0]);
+    }
+    if (geojson.type === 'Feature') {
+        return getPolygonGeometry(geojson.geometry);
+    }
+    if ((geojson.type === 'Polygon' || geojson.type === 'MultiPolygon') && Array.isArray(geojson.coordinates)) {
+        return geojson;
+    }
+    return null;
+}
+
+module.exports = { EARTH_RADIUS_METERS, haversineDistance, getPlaceLatLng, isPlaceInCell, toGeoJSONPoint, boxToPolygon, getPolygonGeometry };
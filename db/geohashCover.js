@@ -0,0 +1,327 @@
+/**
+ * Geohash Cover:
+ * computes the set of geohash cells that covers a circle, bounding box or GeoJSON polygon.
+ *
+ * Cells are found by hierarchical refinement: starting from the coarse cells around the
+ * shape's bounding box, each cell is tested against the shape and
+ *   - dropped when it does not intersect the shape,
+ *   - kept as-is when it lies fully inside the shape,
+ *   - split into its 32 children when it crosses the shape's boundary.
+ * The result is a mixed-precision cover (coarse interior, fine boundary) that can be
+ * expanded to a single precision when exact cells are needed.
+ *
+ * Geometry tests treat lat/lng as planar except for circle distances (haversine), which
+ * is accurate at city scale. Shapes crossing the antimeridian are not supported.
+ */
+
+const geohash = require('ngeohash');
+const { haversineDistance } = require('./geoUtils');
+
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+/**
+ * Decode a geohash into its bounds
+ * @param {string} hash - Geohash string
+ * @returns {{minLat: number, minLng: number, maxLat: number, maxLng: number}}
+ */
+function decodeBox(hash) {
+    const [minLat, minLng, maxLat, maxLng] = geohash.decode_bbox(hash);
+    return { minLat, minLng, maxLat, maxLng };
+}
+
+/**
+ * Corners of a box as {lat, lng}
+ * @param {Object} box - {minLat, minLng, maxLat, maxLng}
+ * @returns {Array<{lat: number, lng: number}>}
+ */
+function boxCorners(box) {
+    return [
+        { lat: box.minLat, lng: box.minLng },
+        { lat: box.minLat, lng: box.maxLng },
+        { lat: box.maxLat, lng: box.maxLng },
+        { lat: box.maxLat, lng: box.minLng }
+    ];
+}
+
+// ============================================================================
+// SHAPES - each shape exposes { bbox, intersects(box), contains(box) }
+// ============================================================================
+
+/**
+ * Circle shape
+ * @param {number} lat - Center latitude
+ * @param {number} lng - Center longitude
+ * @param {number} radiusMeters - Radius in meters
+ * @returns {Object} Shape
+ */
+function createCircle(lat, lng, radiusMeters) {
+    const center = { lat, lng };
+    const latDelta = (radiusMeters / 111320);
+    const lngDelta = radiusMeters / (111320 * Math.max(Math.cos((lat * Math.PI) / 180), 1e-6));
+
+    return {
+        bbox: {
+            minLat: Math.max(-90, lat - latDelta),
+            maxLat: Math.min(90, lat + latDelta),
+            minLng: Math.max(-180, lng - lngDelta),
+            maxLng: Math.min(180, lng + lngDelta)
+        },
+        intersects(box) {
+            // Distance from the center to the nearest point of the box
+            const nearest = {
+                lat: Math.min(Math.max(lat, box.minLat), box.maxLat),
+                lng: Math.min(Math.max(lng, box.minLng), box.maxLng)
+            };
+            return haversineDistance(center, nearest) <= radiusMeters;
+        },
+        contains(box) {
+            return boxCorners(box).every(corner => haversineDistance(center, corner) <= radiusMeters);
+        }
+    };
+}
+
+/**
+ * Bounding box shape
+ * @param {{lat: number, lng: number}} sw - South-west corner
+ * @param {{lat: number, lng: number}} ne - North-east corner
+ * @returns {Object} Shape
+ */
+function createBox(sw, ne) {
+    const bbox = { minLat: sw.lat, minLng: sw.lng, maxLat: ne.lat, maxLng: ne.lng };
+
+    return {
+        bbox,
+        intersects(box) {
+            return box.minLat <= bbox.maxLat && box.maxLat >= bbox.minLat &&
+                box.minLng <= bbox.maxLng && box.maxLng >= bbox.minLng;
+        },
+        contains(box) {
+            return box.minLat >= bbox.minLat && box.maxLat <= bbox.maxLat &&
+                box.minLng >= bbox.minLng && box.maxLng <= bbox.maxLng;
+        }
+    };
+}
+
+/**
+ * Even-odd point in polygon test over all rings (outer rings and holes)
+ * @param {{lat: number, lng: number}} point - Point to test
+ * @param {Array<Array<Array<number>>>} rings - Rings of [lng, lat] positions
+ * @returns {boolean}
+ */
+function pointInRings(point, rings) {
+    let inside = false;
+    for (const ring of rings) {
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+            if ((yi > point.lat) !== (yj > point.lat) &&
+                point.lng < ((xj - xi) * (point.lat - yi)) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+    }
+    return inside;
+}
+
+/**
+ * Check whether two segments intersect (including touching)
+ * @param {Array<number>} a1 - [x, y]
+ * @param {Array<number>} a2 - [x, y]
+ * @param {Array<number>} b1 - [x, y]
+ * @param {Array<number>} b2 - [x, y]
+ * @returns {boolean}
+ */
+function segmentsIntersect(a1, a2, b1, b2) {
+    const cross = (o, p, q) => (p[0] - o[0]) * (q[1] - o[1]) - (p[1] - o[1]) * (q[0] - o[0]);
+    const onSegment = (o, p, q) =>
+        Math.min(o[0], p[0]) <= q[0] && q[0] <= Math.max(o[0], p[0]) &&
+        Math.min(o[1], p[1]) <= q[1] && q[1] <= Math.max(o[1], p[1]);
+
+    const d1 = cross(b1, b2, a1);
+    const d2 = cross(b1, b2, a2);
+    const d3 = cross(a1, a2, b1);
+    const d4 = cross(a1, a2, b2);
+
+    if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+        return true;
+    }
+    return (d1 === 0 && onSegment(b1, b2, a1)) || (d2 === 0 && onSegment(b1, b2, a2)) ||
+        (d3 === 0 && onSegment(a1, a2, b1)) || (d4 === 0 && onSegment(a1, a2, b2));
+}
+
+/**
+ * GeoJSON Polygon or MultiPolygon shape
+ * @param {Object} polygon - GeoJSON Polygon or MultiPolygon geometry
+ * @returns {Object} Shape
+ */
+function createPolygon(polygon) {
+    const polygons = polygon.type === 'MultiPolygon' ? polygon.coordinates : [polygon.coordinates];
+    if (!Array.isArray(polygons) || polygons.some(rings => !Array.isArray(rings) || rings.length === 0)) {
+        throw new Error('Expected a GeoJSON Polygon or MultiPolygon');
+    }
+
+    const edges = [];
+    const bbox = { minLat: Infinity, minLng: Infinity, maxLat: -Infinity, maxLng: -Infinity };
+    polygons.forEach(rings => rings.forEach(ring => {
+        ring.forEach(([lng, lat], i) => {
+            bbox.minLat = Math.min(bbox.minLat, lat);
+            bbox.maxLat = Math.max(bbox.maxLat, lat);
+            bbox.minLng = Math.min(bbox.minLng, lng);
+            bbox.maxLng = Math.max(bbox.maxLng, lng);
+            if (i > 0) edges.push([ring[i - 1], ring[i]]);
+        });
+    }));
+
+    const containsPoint = point => polygons.some(rings => pointInRings(point, rings));
+    const boxEdges = box => {
+        const c = boxCorners(box).map(({ lat, lng }) => [lng, lat]);
+        return [[c[0], c[1]], [c[1], c[2]], [c[2], c[3]], [c[3], c[0]]];
+    };
+    const edgeCrossesBox = box => {
+        const sides = boxEdges(box);
+        return edges.some(([p, q]) => sides.some(([r, s]) => segmentsIntersect(p, q, r, s)));
+    };
+    const vertexInBox = box => edges.some(([[lng, lat]]) =>
+        lat >= box.minLat && lat <= box.maxLat && lng >= box.minLng && lng <= box.maxLng);
+
+    return {
+        bbox,
+        containsPoint,
+        intersects(box) {
+            return boxCorners(box).some(containsPoint) || vertexInBox(box) || edgeCrossesBox(box);
+        },
+        contains(box) {
+            return boxCorners(box).every(containsPoint) && !edgeCrossesBox(box) && !vertexInBox(box);
+        }
+    };
+}
+
+// ============================================================================
+// COVERING
+// ============================================================================
+
+/**
+ * Get the 32 child cells of a geohash (one precision level finer)
+ * @param {string} hash - Geohash string
+ * @returns {Array<string>} Child geohashes
+ */
+function getChildren(hash) {
+    return [...GEOHASH_BASE32].map(char => hash + char);
+}
+
+/**
+ * Expand cells to all of their descendants at a precision (cells already at or
+ * finer than the precision are returned unchanged)
+ * @param {Array<string>} cells - Geohashes
+ * @param {number} precision - Target precision
+ * @returns {Array<string>} Geohashes at the target precision
+ */
+function expandToPrecision(cells, precision) {
+    const result = [];
+    const stack = [...cells];
+    while (stack.length > 0) {
+        const hash = stack.pop();
+        if (hash.length >= precision) {
+            result.push(hash);
+        } else {
+            stack.push(...getChildren(hash));
+        }
+    }
+    return result;
+}
+
+/**
+ * Expand cells to their descendants at a precision that intersect a shape (cells already at
+ * or finer than the precision are kept when they intersect it). Subtrees outside the shape
+ * are never expanded.
+ * @param {Array<string>} cells - Geohashes
+ * @param {Object} shape - Shape from createCircle/createBox/createPolygon
+ * @param {number} precision - Target precision
+ * @returns {Array<string>} Geohashes at the target precision
+ */
+function expandInShape(cells, shape, precision) {
+    const result = [];
+    const stack = [...cells];
+    while (stack.length > 0) {
+        const hash = stack.pop();
+        if (!shape.intersects(decodeBox(hash))) continue;
+        if (hash.length >= precision) {
+            result.push(hash);
+        } else {
+            stack.push(...getChildren(hash));
+        }
+    }
+    return result.sort();
+}
+
+/**
+ * Mixed-precision cover: interior cells as coarse as possible (but not coarser than
+ * minPrecision), boundary cells at maxPrecision
+ * @param {Object} shape - Shape from createCircle/createBox/createPolygon
+ * @param {number} minPrecision - Coarsest precision allowed in the result
+ * @param {number} maxPrecision - Precision of boundary cells
+ * @returns {Array<string>} Geohashes covering the shape
+ */
+function refine(shape, minPrecision, maxPrecision) {
+    const { minLat, minLng, maxLat, maxLng } = shape.bbox;
+    const result = [];
+    const stack = geohash.bboxes(minLat, minLng, maxLat, maxLng, 1);
+
+    while (stack.length > 0) {
+        const hash = stack.pop();
+        const box = decodeBox(hash);
+        if (!shape.intersects(box)) continue;
+
+        if (hash.length >= maxPrecision) {
+            result.push(hash);
+        } else if (hash.length >= minPrecision && shape.contains(box)) {
+            result.push(hash);
+        } else {
+            stack.push(...getChildren(hash));
+        }
+    }
+    return result.sort();
+}
+
+/**
+ * Every geohash at a precision that intersects the shape
+ * @param {Object} shape - Shape from createCircle/createBox/createPolygon
+ * @param {number} precision - Geohash precision
+ * @returns {Array<string>} Geohashes at the precision
+ */
+function coverShape(shape, precision) {
+    return expandToPrecision(refine(shape, precision, precision), precision).sort();
+}
+
+/**
+ * Mixed-precision cover with a bounded number of cells
+ * Uses the finest boundary precision (up to maxPrecision) whose cover fits in maxCells;
+ * at minPrecision the cover is returned even if it is larger. Precisions are tried from
+ * coarse to fine so large areas never build a cover far beyond maxCells.
+ * @param {Object} shape - Shape from createCircle/createBox/createPolygon
+ * @param {Object} options
+ * @param {number} options.minPrecision - Coarsest precision allowed
+ * @param {number} options.maxPrecision - Finest precision used
+ * @param {number} options.maxCells - Maximum number of cells wanted
+ * @returns {Array<string>} Geohashes covering the shape
+ */
+function coverShapeMixed(shape, { minPrecision, maxPrecision, maxCells }) {
+    let cells = refine(shape, minPrecision, minPrecision);
+    for (let precision = minPrecision + 1; precision <= maxPrecision; precision++) {
+        const finer = refine(shape, minPrecision, precision);
+        if (finer.length > maxCells) break;
+        cells = finer;
+    }
+    return cells;
+}
+
+module.exports = {
+    createCircle,
+    createBox,
+    createPolygon,
+    getChildren,
+    expandToPrecision,
+    expandInShape,
+    coverShape,
+    coverShapeMixed
+};
@@ -0,0 +1,425 @@
+/**
+ * Import OpenStreetMap extract into the places of the configured storage backend
+ * Run: node db/importOsm.js <extract.osm.pbf|overpass.json> [--bbox west,south,east,north]
+ *   [--types type1,type2] [--dry-run]
+ *
+ * @description Reads a local OSM extract (.osm.pbf, or an Overpass JSON dump
+ * queried with `out center;`), maps OSM tags onto our commodity types and
+ * upserts the places with the geohash used by the runtime cache. The covered
+ * area is then marked as cached for the imported commodity types, with cells
+ * as coarse as minCoverPrecision inside it and gridPrecision cells along its
+ * edge, each with its place count, so DataManager only calls the places
+ * provider for them outside the imported region.
+ *
+ * The covered area defaults to the extent of all nodes in the extract; pass
+ * --bbox when the dump only contains matching elements. The imported types default
+ * to those found in the extract; pass --types when the extract holds every element
+ * of a type (even where none were found) but not of the others, e.g. an Overpass
+ * dump of one query.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const geohash = require('ngeohash');
+const parseOSM = require('osm-pbf-parser');
+const { connect, disconnect } = require('./connection');
+const { getStorage } = require('./storage');
+const geohashCover = require('./geohashCover');
+const config = require('../config/config');
+
+// OSM tag -> value -> commodity type (Google place type used across the app)
+const OSM_TAG_MAPPING = {
+    amenity: {
+        restaurant: 'restaurant',
+        fast_food: 'restaurant',
+        fuel: 'gas_station',
+        pharmacy: 'pharmacy',
+        school: 'school'
+    },
+    shop: {
+        supermarket: 'supermarket',
+        grocery: 'supermarket'
+    },
+    healthcare: {
+        pharmacy: 'pharmacy'
+    }
+};
+
+const BATCH_SIZE = 1000;
+
+/**
+ * Map OSM tags onto commodity types
+ * @param {Object} tags - OSM tags of an element
+ * @returns {Array<string>} Commodity types (empty if the element is not relevant)
+ */
+function getCommodityTypes(tags) {
+    if (!tags) return [];
+    const types = new Set();
+    for (const [key, values] of Object.entries(OSM_TAG_MAPPING)) {
+        const type = values[tags[key]];
+        if (type) types.add(type);
+    }
+    return [...types];
+}
+
+/**
+ * Read place metadata (name and address) from OSM tags
+ * @param {Object} tags - OSM tags of an element
+ * @returns {{displayName: string|undefined, formattedAddress: string|undefined}}
+ */
+function getPlaceMetadata(tags) {
+    const street = [tags['addr:housenumber'], tags['addr:street']].filter(Boolean).join(' ');
+    const address = [street, tags['addr:city'], tags['addr:postcode']].filter(Boolean).join(', ');
+    return {
+        displayName: tags.name || undefined,
+        formattedAddress: address || undefined
+    };
+}
+
+/**
+ * Track the extent of every coordinate seen in the extract
+ */
+class Extent {
+    constructor() {
+        this.south = Infinity;
+        this.west = Infinity;
+        this.north = -Infinity;
+        this.east = -Infinity;
+    }
+
+    add(lat, lng) {
+        this.south = Math.min(this.south, lat);
+        this.north = Math.max(this.north, lat);
+        this.west = Math.min(this.west, lng);
+        this.east = Math.max(this.east, lng);
+    }
+
+    isEmpty() {
+        return this.south > this.north;
+    }
+}
+
+/**
+ * Stream every item of a .osm.pbf file
+ * @param {string} file - Path to the extract
+ * @param {Function} onItem - Called with each node/way/relation
+ * @returns {Promise<void>}
+ */
+function streamPbf(file, onItem) {
+    return new Promise((resolve, reject) => {
+        fs.createReadStream(file)
+            .on('error', reject)
+            .pipe(parseOSM())
+            .on('data', items => items.forEach(onItem))
+            .on('end', resolve)
+            .on('error', reject);
+    });
+}
+
+/**
+ * Read matching places from a .osm.pbf extract
+ * Ways are placed at the average of their nodes, which needs a second pass
+ * over the file to resolve node coordinates. Relations are skipped.
+ * @param {string} file - Path to the extract
+ * @returns {Promise<{places: Array, extent: Extent}>}
+ */
+async function readPbf(file) {
+    const places = [];
+    const extent = new Extent();
+    const pendingWays = [];
+    const neededNodes = new Set();
+
+    await streamPbf(file, item => {
+        if (item.type === 'node') {
+            extent.add(item.lat, item.lon);
+            const types = getCommodityTypes(item.tags);
+            if (types.length > 0) {
+                places.push({ id: `node/${item.id}`, lat: item.lat, lng: item.lon, types, ...getPlaceMetadata(item.tags) });
+            }
+        } else if (item.type === 'way') {
+            const types = getCommodityTypes(item.tags);
+            if (types.length > 0) {
+                pendingWays.push({ id: `way/${item.id}`, refs: item.refs, types, ...getPlaceMetadata(item.tags) });
+                item.refs.forEach(ref => neededNodes.add(ref));
+            }
+        }
+    });
+
+    if (pendingWays.length > 0) {
+        const nodeCoords = new Map();
+        await streamPbf(file, item => {
+            if (item.type === 'node' && neededNodes.has(item.id)) {
+                nodeCoords.set(item.id, [item.lat, item.lon]);
+            }
+        });
+
+        for (const way of pendingWays) {
+            const coords = way.refs.map(ref => nodeCoords.get(ref)).filter(Boolean);
+            if (coords.length === 0) continue;
+            places.push({
+                id: way.id,
+                lat: coords.reduce((sum, c) => sum + c[0], 0) / coords.length,
+                lng: coords.reduce((sum, c) => sum + c[1], 0) / coords.length,
+                types: way.types,
+                displayName: way.displayName,
+                formattedAddress: way.formattedAddress
+            });
+        }
+    }
+
+    return { places, extent };
+}
+
+/**
+ * Read matching places from an Overpass JSON dump
+ * Ways and relations need `out center;` (or `out bb;`) to carry a position.
+ * @param {string} file - Path to the dump
+ * @returns {Promise<{places: Array, extent: Extent}>}
+ */
+async function readOverpassJson(file) {
+    const data = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    const places = [];
+    const extent = new Extent();
+
+    for (const element of data.elements || []) {
+        let lat;
+        let lng;
+        if (typeof element.lat === 'number') {
+            lat = element.lat;
+            lng = element.lon;
+        } else if (element.center) {
+            lat = element.center.lat;
+            lng = element.center.lon;
+        } else if (element.bounds) {
+            lat = (element.bounds.minlat + element.bounds.maxlat) / 2;
+            lng = (element.bounds.minlon + element.bounds.maxlon) / 2;
+        } else {
+            continue;
+        }
+
+        extent.add(lat, lng);
+        const types = getCommodityTypes(element.tags);
+        if (types.length > 0) {
+            places.push({ id: `${element.type}/${element.id}`, lat, lng, types, ...getPlaceMetadata(element.tags) });
+        }
+    }
+
+    return { places, extent };
+}
+
+/**
+ * Upsert places, merging commodity types into existing documents
+ * @param {Array} places - Places read from the extract
+ * @param {number} precision - Geohash precision of the grid cache
+ * @returns {Promise<{inserted: number, updated: number}>}
+ */
+async function upsertPlaces(places, precision) {
+    let inserted = 0;
+    let updated = 0;
+
+    for (let i = 0; i < places.length; i += BATCH_SIZE) {
+        const result = await getStorage().places.upsertMany(places.slice(i, i + BATCH_SIZE).map(place => ({
+            place_id: `osm/${place.id}`,
+            location: { type: 'Point', coordinates: [place.lng, place.lat] },
+            geohash: geohash.encode(place.lat, place.lng, precision),
+            displayName: place.displayName || undefined,
+            formattedAddress: place.formattedAddress || undefined,
+            fetchedAt: new Date(),
+            commodityTypes: place.types
+        })));
+        inserted += result.inserted;
+        updated += result.updated;
+    }
+
+    return { inserted, updated };
+}
+
+/**
+ * Geohash cells that lie fully inside the bbox, as coarse as possible
+ * Cells of minPrecision inside the bbox are kept whole; those crossing its edge are split
+ * down to maxPrecision, so a large extract is covered without listing every fine cell.
+ * @param {Object} bbox - {west, south, east, north}
+ * @param {number} minPrecision - Coarsest geohash precision
+ * @param {number} maxPrecision - Finest geohash precision (the grid precision)
+ * @returns {Array<string>} Covered geohashes
+ */
+function getCoveredGrids(bbox, minPrecision, maxPrecision) {
+    const covered = [];
+    let edge = geohash.bboxes(bbox.south, bbox.west, bbox.north, bbox.east, minPrecision);
+
+    for (let precision = minPrecision; precision <= maxPrecision && edge.length > 0; precision++) {
+        const next = [];
+        edge.forEach(hash => {
+            const [minLat, minLng, maxLat, maxLng] = geohash.decode_bbox(hash);
+            if (minLat >= bbox.south && maxLat <= bbox.north && minLng >= bbox.west && maxLng <= bbox.east) {
+                covered.push(hash);
+            } else if (minLat < bbox.north && maxLat > bbox.south && minLng < bbox.east && maxLng > bbox.west) {
+                next.push(...geohashCover.getChildren(hash));
+            }
+        });
+        edge = next;
+    }
+
+    return covered;
+}
+
+/**
+ * Count the places of each commodity type per geohash prefix
+ * @param {Array} places - Places read from the extract
+ * @param {number} minPrecision - Shortest prefix counted
+ * @param {number} maxPrecision - Longest prefix counted
+ * @returns {Map<string, number>} Count per `${commodityType}:${prefix}`
+ */
+function countPlaces(places, minPrecision, maxPrecision) {
+    const counts = new Map();
+    places.forEach(place => {
+        const hash = geohash.encode(place.lat, place.lng, maxPrecision);
+        place.types.forEach(type => {
+            for (let precision = minPrecision; precision <= maxPrecision; precision++) {
+                const key = `${type}:${hash.slice(0, precision)}`;
+                counts.set(key, (counts.get(key) || 0) + 1);
+            }
+        });
+    });
+    return counts;
+}
+
+/**
+ * Every commodity type the importer maps OSM tags onto
+ * @returns {Array<string>} Commodity types
+ */
+function getMappedTypes() {
+    return [...new Set(Object.values(OSM_TAG_MAPPING).flatMap(Object.values))];
+}
+
+/**
+ * Mark covered grid cells as cached for the imported commodity types
+ * Other types stay uncached: the extract says nothing about them.
+ * @param {Array<string>} gridIds - Geohashes to mark
+ * @param {Array<string>} commodityTypes - Commodity types the extract is complete for
+ * @param {Map<string, number>} placeCounts - Places per `${commodityType}:${geohash}` (from countPlaces)
+ * @returns {Promise<number>} Number of grid entries upserted or updated
+ */
+async function markGridsCached(gridIds, commodityTypes, placeCounts) {
+    let count = 0;
+    const now = new Date();
+    const entries = gridIds.flatMap(gridId => commodityTypes.map(commodityType => ({ gridId, commodityType })));
+
+    for (let i = 0; i < entries.length; i += BATCH_SIZE) {
+        const result = await getStorage().grids.upsertMany(entries.slice(i, i + BATCH_SIZE).map(({ gridId, commodityType }) => {
+            const center = geohash.decode(gridId);
+            return {
+                geohash: gridId,
+                commodityType,
+                centerLat: center.latitude,
+                centerLng: center.longitude,
+                placeCount: placeCounts.get(`${commodityType}:${gridId}`) || 0,
+                fetchStatus: 'cached',
+                fetchedAt: now,
+                expiresAt: new Date(now.getTime() + (config.cacheTTLByType[commodityType] || config.cacheTTL)),
+                lastUpdated: now
+            };
+        }));
+        count += result.inserted + result.updated;
+    }
+
+    return count;
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - process.argv.slice(2)
+ * @returns {{file: string, bbox: Object|null, types: Array<string>|null, dryRun: boolean}}
+ */
+function parseArgs(argv) {
+    const options = { file: null, bbox: null, types: null, dryRun: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '--bbox') {
+            const [west, south, east, north] = (argv[++i] || '').split(',').map(Number);
+            if ([west, south, east, north].some(v => !Number.isFinite(v))) {
+                throw new Error('--bbox expects west,south,east,north');
+            }
+            options.bbox = { west, south, east, north };
+        } else if (arg === '--types') {
+            const types = (argv[++i] || '').split(',').map(type => type.trim()).filter(Boolean);
+            const mappedTypes = getMappedTypes();
+            const unknown = types.filter(type => !mappedTypes.includes(type));
+            if (types.length === 0 || unknown.length > 0) {
+                throw new Error(`--types expects a comma-separated list of: ${mappedTypes.join(', ')}`);
+            }
+            options.types = types;
+        } else {
+            options.file = arg;
+        }
+    }
+
+    if (!options.file) {
+        throw new Error('Usage: node db/importOsm.js <extract.osm.pbf|overpass.json> [--bbox west,south,east,north] [--types type1,type2] [--dry-run]');
+    }
+    return options;
+}
+
+async function importOsm() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const precision = config.gridPrecision;
+    const minPrecision = Math.min(config.minCoverPrecision, precision);
+    const file = path.resolve(options.file);
+
+    console.log(`📖 Reading OSM extract: ${file}`);
+    const { places, extent } = file.endsWith('.pbf')
+        ? await readPbf(file)
+        : await readOverpassJson(file);
+
+    const bbox = options.bbox || (extent.isEmpty() ? null : extent);
+    const gridIds = bbox ? getCoveredGrids(bbox, minPrecision, precision) : [];
+
+    const byType = {};
+    places.forEach(place => place.types.forEach(type => {
+        byType[type] = (byType[type] || 0) + 1;
+    }));
+    console.log(`  Matching places: ${places.length}`);
+    Object.entries(byType).forEach(([type, count]) => console.log(`    - ${type}: ${count}`));
+    const cachedTypes = options.types || Object.keys(byType);
+    console.log(`  Types marked as cached: ${cachedTypes.join(', ') || 'none'}`);
+    if (bbox) {
+        console.log(`  Covered area: ${bbox.west},${bbox.south},${bbox.east},${bbox.north}`);
+    }
+    console.log(`  Covered grids (precision ${minPrecision} to ${precision}): ${gridIds.length}`);
+
+    if (options.dryRun) {
+        console.log('\nℹ️  Dry run, nothing written');
+        return;
+    }
+
+    try {
+        await connect();
+        console.log('\n📝 Upserting places...');
+        const { inserted, updated } = await upsertPlaces(places, precision);
+        console.log(`✅ Inserted ${inserted} places, updated ${updated}`);
+
+        console.log('\n📝 Marking covered grids as cached...');
+        const gridCount = await markGridsCached(gridIds, cachedTypes, countPlaces(places, minPrecision, precision));
+        console.log(`✅ Marked ${gridCount} grid entries (grid x commodity type) as cached`);
+
+        console.log('\n✅ OSM import complete');
+    } catch (error) {
+        console.error('❌ Import error:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await disconnect();
+    }
+}
+
+importOsm();
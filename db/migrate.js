@@ -0,0 +1,49 @@
+/**
+ * Apply pending schema migrations to MongoDB
+ * Run: node db/migrate.js [--status] [--dry-run]
+ *
+ * @description Runs the migrations of db/migrations that are not recorded in the
+ * migrations collection yet, in order (see db/MigrationRunner.js). --status lists
+ * every migration with the time it was applied; --dry-run lists the pending ones.
+ * The embedded storage backend is written by the current code only and needs none.
+ */
+
+const { connect, disconnect } = require('./connection');
+const MigrationRunner = require('./MigrationRunner');
+const config = require('../config/config');
+
+const USAGE = 'Usage: node db/migrate.js [--status] [--dry-run]';
+
+async function migrate() {
+    const args = process.argv.slice(2);
+    const unknown = args.find(arg => arg !== '--status' && arg !== '--dry-run');
+    if (unknown) {
+        console.error(`❌ Unknown argument: ${unknown}\n${USAGE}`);
+        process.exitCode = 1;
+        return;
+    }
+    if (config.storage.backend !== 'mongo') {
+        console.log(`ℹ️  Storage backend is "${config.storage.backend}": migrations only apply to MongoDB`);
+        return;
+    }
+
+    const runner = new MigrationRunner();
+    try {
+        await connect();
+        if (args.includes('--status')) {
+            const status = await runner.getStatus();
+            status.forEach(({ name, description, appliedAt }) => {
+                console.log(`  ${appliedAt ? `✅ ${appliedAt.toISOString()}` : '⏳ pending                 '}  ${name} - ${description}`);
+            });
+        } else {
+            await runner.migrate({ dryRun: args.includes('--dry-run') });
+        }
+    } catch (error) {
+        console.error('❌ Migration error:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await disconnect();
+    }
+}
+
+migrate();
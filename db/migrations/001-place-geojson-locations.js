@@ -0,0 +1,22 @@
+/**
+ * Convert legacy { lat, lng } place locations to GeoJSON Points
+ * The 2dsphere index and the spatial queries only see GeoJSON locations.
+ */
+module.exports = {
+    description: 'Convert legacy {lat, lng} place locations to GeoJSON Points',
+
+    async up({ models }) {
+        const result = await models.Place.collection.updateMany(
+            { 'location.lat': { $exists: true } },
+            [{
+                $set: {
+                    location: {
+                        type: 'Point',
+                        coordinates: ['$location.lng', '$location.lat']
+                    }
+                }
+            }]
+        );
+        return { converted: result.modifiedCount };
+    }
+};
@@ -0,0 +1,44 @@
+/**
+ * Recompute every place geohash from its location at config.gridPrecision
+ * Cache lookups match places to cells by geohash prefix, so a place stored with a shorter
+ * hash (older seeds used precision 6) or a hash that does not match its coordinates is
+ * never found. Changing gridPrecision later needs a new migration like this one.
+ */
+const geohash = require('ngeohash');
+
+const BATCH_SIZE = 1000;
+
+module.exports = {
+    description: 'Recompute place geohashes from their locations at config.gridPrecision',
+
+    async up({ models, config }) {
+        const precision = config.gridPrecision;
+        const cursor = models.Place.collection.find(
+            { 'location.coordinates.1': { $exists: true } },
+            { projection: { location: 1, geohash: 1 } }
+        );
+
+        let checked = 0;
+        let updated = 0;
+        let operations = [];
+        const flush = async () => {
+            if (operations.length === 0) return;
+            const result = await models.Place.collection.bulkWrite(operations, { ordered: false });
+            updated += result.modifiedCount;
+            operations = [];
+        };
+
+        for await (const place of cursor) {
+            checked += 1;
+            const [lng, lat] = place.location.coordinates;
+            const hash = geohash.encode(lat, lng, precision);
+            if (hash !== place.geohash) {
+                operations.push({ updateOne: { filter: { _id: place._id }, update: { $set: { geohash: hash } } } });
+                if (operations.length >= BATCH_SIZE) await flush();
+            }
+        }
+        await flush();
+
+        return { checked, updated, precision };
+    }
+};
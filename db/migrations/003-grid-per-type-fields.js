@@ -0,0 +1,26 @@
+/**
+ * Normalise grid entries to the per-type cache
+ * Entries without a commodityType predate per-type caching: nothing says which types they
+ * covered, so they are deleted and their cells fetched again per type. Entries missing
+ * resolvedPrecision or rolledUp get the values of a directly fetched cell.
+ */
+module.exports = {
+    description: 'Delete untyped grid entries and fill resolvedPrecision / rolledUp',
+
+    async up({ models }) {
+        const grids = models.Grid.collection;
+
+        const deleted = await grids.deleteMany({ $or: [{ commodityType: { $exists: false } }, { commodityType: null }] });
+        const precision = await grids.updateMany(
+            { resolvedPrecision: { $exists: false } },
+            [{ $set: { resolvedPrecision: { $strLenCP: '$geohash' } } }]
+        );
+        const rolledUp = await grids.updateMany({ rolledUp: { $exists: false } }, { $set: { rolledUp: false } });
+
+        return {
+            untypedDeleted: deleted.deletedCount,
+            resolvedPrecisionSet: precision.modifiedCount,
+            rolledUpSet: rolledUp.modifiedCount
+        };
+    }
+};
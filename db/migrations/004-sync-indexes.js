@@ -0,0 +1,18 @@
+/**
+ * Bring indexes in line with the schemas of db/models.js
+ * Drops indexes the schemas no longer declare (the old unique index on Grid.geohash alone,
+ * the { location.lat, location.lng } index) and builds the current ones, including the
+ * 2dsphere index, which needs every location in GeoJSON (migration 001).
+ */
+module.exports = {
+    description: 'Sync indexes with the schemas (2dsphere, per-type grid key)',
+
+    async up({ models }) {
+        const dropped = {};
+        for (const [name, model] of Object.entries(models)) {
+            const result = await model.syncIndexes();
+            if (result.length > 0) dropped[name] = result;
+        }
+        return { dropped };
+    }
+};
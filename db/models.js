@@ -10,10 +10,19 @@ const mongoose = require('mongoose');
 const placeSchema = new mongoose.Schema({
   place_id: { type: String, required: true, unique: true },
   location: {
-    lat: Number,
-    lng: Number
+    // GeoJSON Point: coordinates are [lng, lat]
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number], required: true }
   },
   commodityTypes: [String], // Array of commodity types this place belongs to
+
+  // Place metadata (from the places provider)
+  displayName: String,
+  formattedAddress: String,
+  rating: Number, // Average rating (1-5)
+  userRatingCount: Number, // Number of reviews behind the rating
+  priceLevel: String, // e.g. PRICE_LEVEL_MODERATE
+  businessStatus: String, // OPERATIONAL, CLOSED_TEMPORARILY or CLOSED_PERMANENTLY
   
   // Cache metadata
   geohash: { type: String, required: true, index: true }, // Grid cell identifier
@@ -22,17 +31,22 @@ const placeSchema = new mongoose.Schema({
 
 // Index for spatial queries
 placeSchema.index({ geohash: 1, commodityTypes: 1 });
-placeSchema.index({ 'location.lat': 1, 'location.lng': 1 });
+placeSchema.index({ location: '2dsphere' });
 
 const Place = mongoose.model('Place', placeSchema);
 
 // ============================================================================
 // GRID SCHEMA - Metadata for each cached grid cell
 // ============================================================================
+// One document per (geohash, commodityType): each type is fetched and cached separately
 const gridSchema = new mongoose.Schema({
-  geohash: { type: String, required: true, unique: true, index: true },
+  geohash: { type: String, required: true, index: true },
+  commodityType: { type: String, required: true },
   centerLat: Number,
   centerLng: Number,
+  resolvedPrecision: Number, // Finest geohash precision queried to get complete results (> length of geohash when subdivided)
+  placeCount: Number, // Places of commodityType inside the cell (sum of children for rolled-up cells)
+  rolledUp: { type: Boolean, default: false }, // Cached because all 32 children are cached, not fetched directly
   
   // Cache metadata
   fetchStatus: { type: String, enum: ['pending', 'cached', 'expired'], default: 'pending' },
@@ -41,13 +55,91 @@ const gridSchema = new mongoose.Schema({
   lastUpdated: { type: Date, default: Date.now }
 });
 
+// Index for cache lookups per type
+gridSchema.index({ geohash: 1, commodityType: 1 }, { unique: true });
+
 // Index for finding nearby grids
 gridSchema.index({ centerLat: 1, centerLng: 1 });
 
 const Grid = mongoose.model('Grid', gridSchema);
 
+// ============================================================================
+// PREWARM JOB SCHEMA - Progress of a region prewarming job (see db/Prewarmer.js)
+// ============================================================================
+const prewarmJobSchema = new mongoose.Schema({
+  area: { type: mongoose.Schema.Types.Mixed, required: true }, // GeoJSON Polygon or MultiPolygon
+  commodityTypes: { type: [String], required: true },
+  budget: { type: Number, required: true }, // Spend limit across all runs (same unit as the provider cost per call)
+  concurrency: Number,
+  status: {
+    type: String,
+    enum: ['running', 'paused', 'completed', 'budget_exhausted', 'failed'],
+    default: 'running'
+  },
+
+  // Progress of the current run: cells x commodity types
+  progress: {
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    cached: { type: Number, default: 0 }, // Already cached, nothing fetched
+    fetched: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+
+  // Totals across runs
+  calls: { type: Number, default: 0 }, // Provider calls made
+  estimatedCost: { type: Number, default: 0 },
+  placeCount: { type: Number, default: 0 }, // Places stored (a place can count once per type)
+  runs: { type: Number, default: 0 },
+
+  error: String,
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: Date
+}, { timestamps: true });
+
+prewarmJobSchema.index({ status: 1 });
+
+const PrewarmJob = mongoose.model('PrewarmJob', prewarmJobSchema);
+
+// ============================================================================
+// API CALL SCHEMA - Spend ledger: one document per outbound places provider call
+// ============================================================================
+const apiCallSchema = new mongoose.Schema({
+  provider: { type: String, required: true }, // e.g. GooglePlacesProvider
+  commodityType: String,
+  geohash: String, // Grid cell the call was made for
+  lat: Number,
+  lng: Number,
+  radius: Number, // Search radius in meters
+  resultCount: Number,
+  estimatedCost: { type: Number, default: 0 }, // Same unit as the provider cost per call (0 for failed calls)
+  trigger: String, // What caused the call, e.g. "GET /api/commodities?..." or "prewarm:<jobId>"
+  success: { type: Boolean, default: true },
+  error: String,
+  durationMs: Number,
+  calledAt: { type: Date, default: Date.now }
+});
+
+// Index for daily / monthly spend totals and reports
+apiCallSchema.index({ calledAt: 1 });
+
+const ApiCall = mongoose.model('ApiCall', apiCallSchema);
+
+// ============================================================================
+// MIGRATION SCHEMA - Schema migrations applied to this database (see db/MigrationRunner.js)
+// ============================================================================
+const migrationSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true }, // File name without .js, e.g. 001-place-geojson-locations
+  description: String,
+  result: mongoose.Schema.Types.Mixed, // What the migration reported, e.g. { modified: 12 }
+  durationMs: Number,
+  appliedAt: { type: Date, default: Date.now }
+});
+
+const Migration = mongoose.model('Migration', migrationSchema);
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
-module.exports = { Place, Grid };
+module.exports = { Place, Grid, PrewarmJob, ApiCall, Migration };
 
@@ -0,0 +1,136 @@
+/**
+ * Prewarm the cache for a region
+ * Run: node db/prewarm.js (--bbox west,south,east,north | --polygon area.geojson) --types restaurant,gas_station --budget 50
+ *                         [--concurrency 4] [--dry-run]
+ *      node db/prewarm.js --resume <jobId> [--budget 80]
+ *
+ * @description Fetches every geohash cell of the area through DataManager so the
+ * first user request there is answered from the cache. Progress is stored in the
+ * prewarmjobs collection; Ctrl+C pauses the job and --resume continues it, skipping
+ * the cells that were already cached. The budget is in the unit of
+ * config.placesProvider.google.costPerCall and covers all runs of the job.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { connect, disconnect } = require('./connection');
+const DataManager = require('./DatabaseManager');
+const Prewarmer = require('./Prewarmer');
+const { boxToPolygon, getPolygonGeometry } = require('./geoUtils');
+const CommodityCatalog = require('../web/commodityCatalog');
+const config = require('../config/config');
+
+const commodityCatalog = new CommodityCatalog(config.commodityCatalog);
+
+const USAGE = 'Usage: node db/prewarm.js (--bbox west,south,east,north | --polygon area.geojson) --types type1,type2 --budget amount [--concurrency n] [--dry-run]\n' +
+    '       node db/prewarm.js --resume <jobId> [--budget amount]';
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - process.argv.slice(2)
+ * @returns {{area: Object|null, commodityTypes: Array<string>, budget: number|undefined, concurrency: number, resume: string|null, dryRun: boolean}}
+ */
+function parseArgs(argv) {
+    const options = { area: null, commodityTypes: [], budget: undefined, concurrency: config.prewarm.concurrency, resume: null, dryRun: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '--bbox') {
+            const [west, south, east, north] = (argv[++i] || '').split(',').map(Number);
+            if ([west, south, east, north].some(v => !Number.isFinite(v)) || north <= south || east <= west) {
+                throw new Error('--bbox expects west,south,east,north');
+            }
+            options.area = boxToPolygon({ lat: south, lng: west }, { lat: north, lng: east });
+        } else if (arg === '--polygon') {
+            const file = path.resolve(argv[++i] || '');
+            options.area = getPolygonGeometry(JSON.parse(fs.readFileSync(file, 'utf8')));
+            if (!options.area) {
+                throw new Error(`--polygon: no Polygon or MultiPolygon found in ${file}`);
+            }
+        } else if (arg === '--types') {
+            // Catalog ids (e.g. grocery) or provider types of the catalog (e.g. supermarket)
+            const names = (argv[++i] || '').split(',').map(t => t.trim()).filter(Boolean);
+            const unknown = names.filter(name => !commodityCatalog.getEntry(name) && !commodityCatalog.getProviderTypes().includes(name));
+            if (unknown.length > 0) {
+                throw new Error(`Unknown commodity types: ${unknown.join(', ')}\n${USAGE}`);
+            }
+            options.commodityTypes = [...new Set(names.flatMap(name => commodityCatalog.resolveProviderTypes(name)))];
+        } else if (arg === '--budget') {
+            options.budget = Number(argv[++i]);
+            if (!Number.isFinite(options.budget) || options.budget < 0) {
+                throw new Error('--budget expects a non-negative number');
+            }
+        } else if (arg === '--concurrency') {
+            options.concurrency = parseInt(argv[++i], 10);
+            if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+                throw new Error('--concurrency expects a positive integer');
+            }
+        } else if (arg === '--resume') {
+            options.resume = argv[++i];
+        } else {
+            throw new Error(`Unknown argument: ${arg}\n${USAGE}`);
+        }
+    }
+
+    if (!options.resume && (!options.area || options.commodityTypes.length === 0 || options.budget === undefined)) {
+        throw new Error(USAGE);
+    }
+    return options;
+}
+
+async function prewarm() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const dataManager = new DataManager();
+    const prewarmer = new Prewarmer(dataManager, {
+        onProgress: job => {
+            const { processed, total, cached, fetched, failed } = job.progress;
+            console.log(`  ${processed}/${total} units (${cached} cached, ${fetched} fetched, ${failed} failed), ${job.calls} calls, ~${job.estimatedCost.toFixed(2)} of ${job.budget}`);
+        }
+    });
+
+    try {
+        await connect();
+        if (options.dryRun) {
+            const { cells, units, calls } = await prewarmer.estimate(options.area, options.commodityTypes);
+            console.log(`📐 ${cells} cells x ${options.commodityTypes.length} types = ${units} units`);
+            console.log(`  ${calls} uncached (gridPrecision cell, type) pairs: at least ${calls} calls (~${(calls * prewarmer.costPerCall).toFixed(2)}), more where cells hit the result cap`);
+            console.log('\nℹ️  Dry run, nothing fetched');
+            return;
+        }
+
+        const started = options.resume
+            ? await prewarmer.resume(options.resume, { budget: options.budget })
+            : await prewarmer.start(options);
+        if (!started) {
+            throw new Error(`Prewarm job ${options.resume} not found`);
+        }
+
+        console.log(`ℹ️  Job ${started.job._id}: press Ctrl+C to pause, then run with --resume ${started.job._id}`);
+        process.once('SIGINT', () => {
+            console.log('\n⏸  Pausing after the cells in flight...');
+            prewarmer.pause(started.job._id);
+        });
+
+        const job = await started.done;
+        if (job.status === 'failed') {
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error('❌ Prewarm error:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await disconnect();
+    }
+}
+
+prewarm();
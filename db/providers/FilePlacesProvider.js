@@ -0,0 +1,128 @@
+/**
+ * File Places Provider:
+ * answers searchNearby requests from a local dataset so the app can run offline.
+ *
+ * Supported formats (picked by file extension):
+ *   - .geojson / .json: a FeatureCollection of Point features
+ *   - .ndjson: one Point feature (or one place in database format) per line
+ *
+ * Feature properties: id | place_id, name | displayName, address | formattedAddress,
+ * types | commodityTypes (Google place types, e.g. ['supermarket', 'grocery_store']),
+ * and optionally rating, userRatingCount, priceLevel, businessStatus
+ */
+const fs = require('fs');
+const path = require('path');
+const PlacesProvider = require('./PlacesProvider');
+const { haversineDistance, getPlaceLatLng } = require('../geoUtils');
+
+class FilePlacesProvider extends PlacesProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.path - Path to the dataset (relative paths resolve from the project root)
+     * @param {number} options.maxResultCount - Maximum places per search (default: 20, same as Google)
+     */
+    constructor(options = {}) {
+        super(options);
+        if (!options.path) throw new Error('FilePlacesProvider requires a dataset path');
+        this.path = path.resolve(__dirname, '..', '..', options.path);
+        this.loading = null;
+    }
+
+    /**
+     * Load and normalize the dataset once
+     * @returns {Promise<Array>} Places in database format
+     */
+    async load() {
+        if (!this.loading) {
+            this.loading = this.readDataset().catch(error => {
+                // Allow a later call to retry (e.g. once the file exists)
+                this.loading = null;
+                throw error;
+            });
+        }
+        return this.loading;
+    }
+
+    /**
+     * Read the dataset file and convert every record
+     * @returns {Promise<Array>} Places in database format
+     */
+    async readDataset() {
+        const content = await fs.promises.readFile(this.path, 'utf8');
+        const records = path.extname(this.path) === '.ndjson'
+            ? content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line))
+            : (JSON.parse(content).features || []);
+
+        const places = records.map(record => this.toPlace(record)).filter(Boolean);
+        console.log(`Loaded ${places.length} places from ${this.path}`);
+        return places;
+    }
+
+    /**
+     * Convert a GeoJSON feature or stored place into database format
+     * @param {Object} record - Feature or place
+     * @returns {Object|null} Place, or null if it has no usable id/coordinates
+     */
+    toPlace(record) {
+        const isFeature = record.type === 'Feature';
+        const props = isFeature ? (record.properties || {}) : record;
+        const location = getPlaceLatLng(isFeature ? { location: record.geometry } : record);
+        const id = props.place_id || props.id;
+        if (!id || !location) return null;
+
+        return {
+            _id: id,
+            place_id: id,
+            displayName: props.displayName || props.name || 'Unknown',
+            location: {
+                type: 'Point',
+                coordinates: [location.lng, location.lat]
+            },
+            types: props.types || props.commodityTypes || [],
+            formattedAddress: props.formattedAddress || props.address || '',
+            rating: props.rating,
+            userRatingCount: props.userRatingCount,
+            priceLevel: props.priceLevel,
+            businessStatus: props.businessStatus
+        };
+    }
+
+    /**
+     * Search places of one type within a circle, nearest first
+     * @param {number} lat - Center latitude
+     * @param {number} lng - Center longitude
+     * @param {number} radiusMeters - Search radius in meters
+     * @param {string} commodityType - Commodity type to search
+     * @returns {Promise<Array>} Matching places in database format
+     * @throws {Error} When the dataset cannot be read
+     */
+    async searchNearby(lat, lng, radiusMeters, commodityType) {
+        const places = await this.load();
+        const center = { lat, lng };
+
+        return places
+            .filter(place => place.types.includes(commodityType))
+            .map(place => ({
+                place,
+                distance: haversineDistance(center, getPlaceLatLng(place))
+            }))
+            .filter(({ distance }) => distance <= radiusMeters)
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, this.maxResultCount)
+            .map(({ place }) => ({
+                _id: place._id,
+                place_id: place.place_id,
+                displayName: place.displayName,
+                location: place.location,
+                commodityTypes: [commodityType],
+                formattedAddress: place.formattedAddress,
+                rating: place.rating,
+                userRatingCount: place.userRatingCount,
+                priceLevel: place.priceLevel,
+                businessStatus: place.businessStatus,
+                fetchedAt: new Date()
+            }));
+    }
+}
+
+module.exports = FilePlacesProvider;
@@ -0,0 +1,145 @@
+/**
+ * Google Places Provider:
+ * answers searchNearby requests with the Google Places API (New)
+ */
+const PlacesProvider = require('./PlacesProvider');
+const TrafficRecorder = require('./TrafficRecorder');
+
+const SEARCH_NEARBY_URL = 'https://places.googleapis.com/v1/places:searchNearby';
+const FIELD_MASK = [
+    'places.id',
+    'places.displayName',
+    'places.formattedAddress',
+    'places.location',
+    'places.types',
+    'places.rating',
+    'places.userRatingCount',
+    'places.priceLevel',
+    'places.businessStatus'
+].join(',');
+
+class GooglePlacesProvider extends PlacesProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.apiKey - Google Places API key (not needed when traffic is replayed)
+     * @param {number} options.maxResultCount - Maximum places per search (Google caps this at 20)
+     * @param {number} options.costPerCall - Estimated cost of one searchNearby call
+     * @param {number} options.timeoutMs - Abort a request that takes longer than this (default: 10s)
+     * @param {TrafficRecorder} options.recorder - Optional: records or replays upstream traffic
+     * @throws {Error} When no API key is set and traffic is not replayed
+     */
+    constructor(options = {}) {
+        super(options);
+        this.apiKey = options.apiKey;
+        this.timeoutMs = options.timeoutMs || 10000;
+        this.recorder = options.recorder || new TrafficRecorder();
+
+        if (!this.apiKey && this.recorder.mode !== 'replay') {
+            throw new Error('GooglePlacesProvider requires an API key: set GOOGLE_PLACES_API_KEY, or PLACES_PROVIDER=file to run offline');
+        }
+    }
+
+    /**
+     * Fetch places from Google Places API
+     * @param {number} lat - Center latitude
+     * @param {number} lng - Center longitude
+     * @param {number} radiusMeters - Search radius in meters
+     * @param {string} commodityType - Commodity type to search
+     * @returns {Promise<Array>} Places from Google Places API
+     * @throws {Error} On network errors, timeouts or non-2xx responses. error.retryable is true for
+     *   network errors, timeouts, 429 and 5xx; error.status holds the HTTP status when there is one
+     */
+    async searchNearby(lat, lng, radiusMeters, commodityType) {
+        const requestBody = {
+            locationRestriction: {
+                circle: {
+                    center: {
+                        latitude: lat,
+                        longitude: lng
+                    },
+                    radius: radiusMeters
+                }
+            },
+            includedTypes: [commodityType],
+            maxResultCount: this.maxResultCount,
+            languageCode: 'en'
+        };
+
+        const response = await this.recorder.handle(
+            { url: SEARCH_NEARBY_URL, fieldMask: FIELD_MASK, body: requestBody },
+            () => this.post(requestBody)
+        );
+
+        if (response.status < 200 || response.status >= 300) {
+            console.error(`Error response: ${JSON.stringify(response.body)}`);
+            const error = new Error(`Google Places API error: ${response.status} ${response.statusText}`);
+            error.status = response.status;
+            error.retryable = response.status === 429 || response.status >= 500;
+            if (response.retryAfter > 0) error.retryAfterMs = response.retryAfter * 1000;
+            throw error;
+        }
+
+        const places = response.body.places || [];
+
+        // Convert Google Places format to database format
+        return places.map(place => ({
+            _id: place.id,
+            place_id: place.id,
+            displayName: place.displayName?.text || place.name || 'Unknown',
+            location: {
+                type: 'Point',
+                coordinates: [place.location.longitude, place.location.latitude]
+            },
+            commodityTypes: [commodityType],
+            formattedAddress: place.formattedAddress || '',
+            rating: place.rating,
+            userRatingCount: place.userRatingCount,
+            priceLevel: place.priceLevel,
+            businessStatus: place.businessStatus,
+            fetchedAt: new Date()
+        }));
+    }
+
+    /**
+     * POST a searchNearby request
+     * @param {Object} requestBody - searchNearby request body
+     * @returns {Promise<Object>} { status, statusText, body, retryAfter } (body is parsed JSON, or text if not JSON)
+     * @throws {Error} On network errors and timeouts (error.retryable is true)
+     */
+    async post(requestBody) {
+        let response;
+        try {
+            response = await fetch(SEARCH_NEARBY_URL, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Goog-Api-Key': this.apiKey,
+                    'X-Goog-FieldMask': FIELD_MASK
+                },
+                body: JSON.stringify(requestBody),
+                signal: AbortSignal.timeout(this.timeoutMs)
+            });
+        } catch (cause) {
+            const error = new Error(`Google Places API request failed: ${cause.message}`);
+            error.retryable = true;
+            throw error;
+        }
+
+        const text = await response.text();
+        let body;
+        try {
+            body = JSON.parse(text);
+        } catch (error) {
+            body = text;
+        }
+
+        return {
+            status: response.status,
+            statusText: response.statusText,
+            body,
+            retryAfter: Number(response.headers.get('retry-after')) || null
+        };
+    }
+}
+
+module.exports = GooglePlacesProvider;
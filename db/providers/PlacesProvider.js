@@ -0,0 +1,38 @@
+/**
+ * Places Provider interface
+ * A provider answers nearby searches for one commodity type and returns places
+ * in the database format used by CacheManager.storePlaces:
+ *   { _id, place_id, displayName, location: { type: 'Point', coordinates: [lng, lat] },
+ *     commodityTypes, formattedAddress, rating, userRatingCount, priceLevel,
+ *     businessStatus, fetchedAt }
+ *
+ * searchNearby rejects when the upstream lookup fails, so callers can tell an
+ * empty area apart from an outage and avoid caching the failure. Errors worth
+ * retrying (rate limits, server errors, timeouts) carry error.retryable = true.
+ */
+class PlacesProvider {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxResultCount - Maximum places returned per search (default: 20)
+     * @param {number} options.costPerCall - Estimated cost of one search (default: 0, e.g. local datasets)
+     */
+    constructor(options = {}) {
+        this.maxResultCount = options.maxResultCount || 20;
+        this.costPerCall = options.costPerCall || 0;
+    }
+
+    /**
+     * Search places of one type within a circle
+     * @param {number} lat - Center latitude
+     * @param {number} lng - Center longitude
+     * @param {number} radiusMeters - Search radius in meters
+     * @param {string} commodityType - Commodity type to search
+     * @returns {Promise<Array>} Places in database format
+     * @throws {Error} When the lookup fails
+     */
+    async searchNearby(lat, lng, radiusMeters, commodityType) {
+        throw new Error(`${this.constructor.name} does not implement searchNearby`);
+    }
+}
+
+module.exports = PlacesProvider;
@@ -0,0 +1,115 @@
+/**
+ * Traffic Recorder:
+ * records upstream places API request/response pairs to disk and replays them offline
+ *
+ * Modes:
+ *   off    - requests go to the network, nothing is written
+ *   record - requests go to the network and each request/response pair is written to
+ *            <dir>/<hash>.json, replacing an older recording of the same request
+ *   replay - responses are read from the recordings; a request without a recording fails
+ *            and nothing goes to the network
+ *
+ * The hash is taken over the normalised request (keys sorted, fractional numbers rounded to
+ * 7 decimals), so the same search recorded on one machine is found on another.
+ * Credentials are never part of the recorded request.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MODES = ['off', 'record', 'replay'];
+
+/**
+ * Normalise a request for hashing: sort object keys and round floating point numbers
+ * @param {*} value - Request (or part of it)
+ * @returns {*} Normalised copy
+ */
+function normalise(value) {
+    if (Array.isArray(value)) {
+        return value.map(normalise);
+    }
+    if (value && typeof value === 'object') {
+        const result = {};
+        Object.keys(value).sort().forEach(key => {
+            result[key] = normalise(value[key]);
+        });
+        return result;
+    }
+    if (typeof value === 'number' && !Number.isInteger(value)) {
+        return Math.round(value * 1e7) / 1e7;
+    }
+    return value;
+}
+
+class TrafficRecorder {
+    /**
+     * @param {Object} options
+     * @param {string} options.mode - 'off', 'record' or 'replay'
+     * @param {string} options.dir - Recordings directory, relative to the project root
+     */
+    constructor({ mode = 'off', dir = 'db/recordings' } = {}) {
+        if (!MODES.includes(mode)) {
+            throw new Error(`Unknown places traffic mode "${mode}" (expected one of: ${MODES.join(', ')})`);
+        }
+        this.mode = mode;
+        this.dir = path.resolve(__dirname, '..', '..', dir);
+    }
+
+    /**
+     * Hash of a normalised request
+     * @param {Object} request - Upstream request, e.g. { url, fieldMask, body }
+     * @returns {string} Hex hash used as the recording file name
+     */
+    getKey(request) {
+        return crypto.createHash('sha256').update(JSON.stringify(normalise(request))).digest('hex').slice(0, 32);
+    }
+
+    /**
+     * Path of the recording of a request
+     * @param {string} key - Request hash
+     * @returns {string} File path
+     */
+    getPath(key) {
+        return path.join(this.dir, `${key}.json`);
+    }
+
+    /**
+     * Send a request according to the mode
+     * @param {Object} request - Upstream request, e.g. { url, fieldMask, body } (without credentials)
+     * @param {Function} send - async () => { status, statusText, body, retryAfter } performing the request
+     * @returns {Promise<Object>} { status, statusText, body, retryAfter }
+     * @throws {Error} In replay mode when the request has no recording
+     */
+    async handle(request, send) {
+        if (this.mode === 'off') {
+            return send();
+        }
+
+        const key = this.getKey(request);
+        const file = this.getPath(key);
+
+        if (this.mode === 'replay') {
+            let recording;
+            try {
+                recording = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+            } catch (error) {
+                throw new Error(`No recording for request ${key} in ${this.dir} (replay mode): ${error.message}`);
+            }
+            return recording.response;
+        }
+
+        const response = await send();
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await fs.promises.writeFile(file, JSON.stringify({
+            key,
+            request,
+            response,
+            recordedAt: new Date().toISOString()
+        }, null, 2));
+        console.log(`📼 Recorded ${request.url} response ${response.status} as ${key}`);
+        return response;
+    }
+}
+
+module.exports = TrafficRecorder;
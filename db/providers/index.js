@@ -0,0 +1,41 @@
+/**
+ * Places provider factory
+ * Selects the provider named in config.placesProvider.type and hands it the traffic
+ * recorder (record / replay of upstream requests, used by providers with an upstream API)
+ */
+const GooglePlacesProvider = require('./GooglePlacesProvider');
+const FilePlacesProvider = require('./FilePlacesProvider');
+const TrafficRecorder = require('./TrafficRecorder');
+
+const providers = {
+    google: GooglePlacesProvider,
+    file: FilePlacesProvider
+};
+
+/**
+ * Create the configured places provider
+ * @param {Object} providerConfig - config.placesProvider
+ * @returns {PlacesProvider} Provider instance
+ */
+function createPlacesProvider(providerConfig) {
+    const Provider = providers[providerConfig.type];
+    if (!Provider) {
+        throw new Error(`Unknown places provider "${providerConfig.type}" (expected one of: ${Object.keys(providers).join(', ')})`);
+    }
+    const recorder = new TrafficRecorder(providerConfig.traffic);
+    if (recorder.mode !== 'off') {
+        console.log(`📼 Places traffic ${recorder.mode} mode (${recorder.dir})`);
+    }
+
+    const options = {
+        maxResultCount: providerConfig.maxResultCount,
+        ...providerConfig[providerConfig.type],
+        recorder
+    };
+    // Replayed responses cost nothing
+    if (recorder.mode === 'replay') options.costPerCall = 0;
+
+    return new Provider(options);
+}
+
+module.exports = { createPlacesProvider };
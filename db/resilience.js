@@ -0,0 +1,226 @@
+/**
+ * Resilience helpers for places provider calls:
+ * retries with exponential backoff and jitter, a circuit breaker and call allowances
+ */
+
+/**
+ * Thrown instead of calling the provider while the circuit breaker is open
+ */
+class CircuitOpenError extends Error {
+    /**
+     * @param {number} retryAt - Time (ms since epoch) the breaker lets a trial call through
+     */
+    constructor(retryAt) {
+        super(`Places provider unavailable (circuit open until ${new Date(retryAt).toISOString()})`);
+        this.name = 'CircuitOpenError';
+        this.retryAt = retryAt;
+    }
+}
+
+/**
+ * Thrown instead of calling the provider once a request or job has used up its call allowance
+ */
+class CallLimitError extends Error {
+    /**
+     * @param {number} maxCalls - Calls the allowance allowed
+     */
+    constructor(maxCalls) {
+        super(`Provider call limit reached (${maxCalls} calls)`);
+        this.name = 'CallLimitError';
+        this.maxCalls = maxCalls;
+    }
+}
+
+/**
+ * Call Allowance
+ * Number of provider calls a request or prewarm job may still make. Every fetch it starts,
+ * subdivisions and retries included, takes its calls from the same allowance.
+ */
+class CallAllowance {
+    /**
+     * @param {number|null} maxCalls - Calls allowed (null for no limit)
+     */
+    constructor(maxCalls = null) {
+        this.maxCalls = maxCalls;
+        this.used = 0;
+    }
+
+    /**
+     * Calls left
+     * @returns {number} Remaining calls (Infinity without a limit)
+     */
+    remaining() {
+        return this.maxCalls === null ? Infinity : Math.max(0, this.maxCalls - this.used);
+    }
+
+    /**
+     * Take one call before making it
+     * @throws {CallLimitError} When no call is left
+     */
+    take() {
+        if (this.remaining() < 1) {
+            throw new CallLimitError(this.maxCalls);
+        }
+        this.used += 1;
+    }
+
+    /**
+     * Give back a call that was taken but not made
+     */
+    refund() {
+        this.used = Math.max(0, this.used - 1);
+    }
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Whether an error is a 4xx answer to our own request (e.g. an invalid type), as opposed to
+ * a rate limit (429) or a provider failure: retrying it or blaming the provider does not help
+ * @param {Error} error - Error thrown by a provider call (error.status holds the HTTP status)
+ * @returns {boolean}
+ */
+function isClientError(error) {
+    const status = error && error.status;
+    return Number.isInteger(status) && status >= 400 && status < 500 && status !== 429;
+}
+
+/**
+ * Run an async function, retrying failures with exponential backoff and full jitter
+ * Attempt n (0-based) waits a random delay in [0, min(maxDelayMs, baseDelayMs * 2^n)], or
+ * the error's retryAfterMs when that is longer (e.g. a Retry-After header).
+ * @param {Function} fn - async (attempt) => result
+ * @param {Object} options
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {number} options.baseDelayMs - Delay cap of the first retry
+ * @param {number} options.maxDelayMs - Delay cap of any retry
+ * @param {Function} options.shouldRetry - (error) => boolean, whether an error is worth retrying
+ * @param {Function} options.onRetry - Optional: (error, attempt, delayMs) => void, called before waiting
+ * @returns {Promise<*>} Result of fn
+ * @throws The last error when every attempt failed or the error is not retryable
+ */
+async function retryWithBackoff(fn, { retries, baseDelayMs, maxDelayMs, shouldRetry, onRetry = null }) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt >= retries || !shouldRetry(error)) throw error;
+
+            const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+            const delayMs = Math.max(Math.random() * cap, error.retryAfterMs || 0);
+            if (onRetry) onRetry(error, attempt + 1, delayMs);
+            await sleep(delayMs);
+        }
+    }
+}
+
+/**
+ * Circuit Breaker
+ * closed: calls go through; failureThreshold consecutive failures open the breaker.
+ * open: calls are refused with CircuitOpenError for resetTimeoutMs.
+ * half-open: one trial call goes through; success closes the breaker, failure opens it again.
+ */
+class CircuitBreaker {
+    /**
+     * @param {Object} options
+     * @param {number} options.failureThreshold - Consecutive failures that open the breaker
+     * @param {number} options.resetTimeoutMs - How long the breaker stays open before a trial call
+     * @param {Function} options.isFailure - Optional: (error) => boolean, errors that count as provider
+     *   failures (others, e.g. a refused budget, pass through without affecting the breaker)
+     */
+    constructor({ failureThreshold = 5, resetTimeoutMs = 30 * 1000, isFailure = () => true } = {}) {
+        this.failureThreshold = failureThreshold;
+        this.resetTimeoutMs = resetTimeoutMs;
+        this.isFailure = isFailure;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Whether calls are currently refused
+     * @returns {boolean}
+     */
+    isOpen() {
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+            this.state = 'half-open';
+        }
+        return this.state === 'open' || (this.state === 'half-open' && this.trialInFlight);
+    }
+
+    /**
+     * Run a call through the breaker
+     * @param {Function} fn - async () => result
+     * @returns {Promise<*>} Result of fn
+     * @throws {CircuitOpenError} When the breaker is open
+     */
+    async call(fn) {
+        if (this.isOpen()) {
+            throw new CircuitOpenError((this.openedAt || Date.now()) + this.resetTimeoutMs);
+        }
+
+        const isTrial = this.state === 'half-open';
+        if (isTrial) this.trialInFlight = true;
+        try {
+            const result = await fn();
+            this.onSuccess();
+            return result;
+        } catch (error) {
+            if (this.isFailure(error)) this.onFailure();
+            throw error;
+        } finally {
+            if (isTrial) this.trialInFlight = false;
+        }
+    }
+
+    onSuccess() {
+        if (this.state !== 'closed') {
+            console.log('✅ Places provider recovered, circuit closed');
+        }
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+    }
+
+    onFailure() {
+        this.failures += 1;
+        if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+            if (this.state !== 'open') {
+                console.warn(`⛔ Places provider failing (${this.failures} consecutive failures), circuit open for ${this.resetTimeoutMs}ms`);
+            }
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+
+    /**
+     * Breaker state for monitoring
+     * @returns {{state: string, failures: number, openedAt: Date|null}}
+     */
+    getStatus() {
+        this.isOpen();
+        return {
+            state: this.state,
+            failures: this.failures,
+            openedAt: this.openedAt ? new Date(this.openedAt) : null
+        };
+    }
+}
+
+module.exports = {
+    CallAllowance,
+    CallLimitError,
+    CircuitBreaker,
+    CircuitOpenError,
+    isClientError,
+    retryWithBackoff,
+    sleep
+};
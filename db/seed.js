@@ -0,0 +1,175 @@
+/**
+ * Seed development data consistent with the current config
+ * Run: node db/seed.js [--center lat,lng] [--radius meters] [--types type1,type2] [--per-cell n]
+ *
+ * @description Generates places in every config.gridPrecision cell around the center
+ * and stores them through CacheManager, exactly like fetched data: GeoJSON locations,
+ * geohashes at gridPrecision, per-type grid entries with the type's TTL and roll-ups.
+ * The data is derived from the cell and type, so running the seed again updates the same
+ * places instead of adding new ones. Seeded cells count as cached: use it on development
+ * databases only, and purge the area to fetch real data there.
+ */
+
+const geohash = require('ngeohash');
+const { connect, disconnect } = require('./connection');
+const DataManager = require('./DatabaseManager');
+const geohashCover = require('./geohashCover');
+const { toGeoJSONPoint } = require('./geoUtils');
+const config = require('../config/config');
+
+const USAGE = 'Usage: node db/seed.js [--center lat,lng] [--radius meters] [--types type1,type2] [--per-cell n]';
+
+// Downtown Montréal, the area of the bundled fixtures
+const DEFAULT_OPTIONS = {
+    center: { lat: 45.5017, lng: -73.5673 },
+    radius: 600,
+    commodityTypes: [...new Set(config.commodityCatalog.flatMap(commodity => commodity.providerTypes))],
+    perCell: 2
+};
+
+/**
+ * Deterministic pseudo-random generator (mulberry32) seeded from a string
+ * @param {string} seed - Seed text
+ * @returns {Function} () => number in [0, 1)
+ */
+function createRandom(seed) {
+    let state = 0;
+    for (let i = 0; i < seed.length; i++) {
+        state = (Math.imul(31, state) + seed.charCodeAt(i)) | 0;
+    }
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Places of one commodity type inside one cell
+ * @param {string} gridId - Geohash cell
+ * @param {string} commodityType - Commodity type
+ * @param {number} perCell - Maximum places per cell
+ * @returns {Array<Object>} Places in database format
+ */
+function generatePlaces(gridId, commodityType, perCell) {
+    const random = createRandom(`${commodityType}:${gridId}`);
+    const [minLat, minLng, maxLat, maxLng] = geohash.decode_bbox(gridId);
+    const count = Math.floor(random() * (perCell + 1));
+
+    const places = [];
+    for (let i = 0; i < count; i++) {
+        const lat = minLat + random() * (maxLat - minLat);
+        const lng = minLng + random() * (maxLng - minLng);
+        places.push({
+            place_id: `seed_${commodityType}_${gridId}_${i}`,
+            displayName: `Seed ${commodityType.replace(/_/g, ' ')} ${gridId}-${i}`,
+            formattedAddress: `${gridId}-${i}, Seed Street`,
+            location: toGeoJSONPoint(lat, lng),
+            commodityTypes: [commodityType],
+            rating: Math.round((3 + random() * 2) * 10) / 10,
+            userRatingCount: Math.floor(random() * 500),
+            businessStatus: 'OPERATIONAL'
+        });
+    }
+    return places;
+}
+
+/**
+ * Seed places and grid entries around a center
+ * @param {DataManager} dataManager - Data manager whose cache receives the data
+ * @param {Object} options - { center: {lat, lng}, radius, commodityTypes, perCell } (defaults: downtown Montréal)
+ * @returns {Promise<{cells: number, places: number}>} Cells seeded per type, and places stored
+ */
+async function seed(dataManager, options = {}) {
+    const { center, radius, commodityTypes, perCell } = { ...DEFAULT_OPTIONS, ...options };
+    const cells = geohashCover.coverShape(
+        geohashCover.createCircle(center.lat, center.lng, radius),
+        dataManager.gridPrecision
+    );
+    console.log(`🌱 Seeding ${cells.length} cells (precision ${dataManager.gridPrecision}) x ${commodityTypes.length} types around ${center.lat},${center.lng}`);
+
+    let placeCount = 0;
+    for (const commodityType of commodityTypes) {
+        const grids = cells.map(gridId => {
+            const cellCenter = dataManager.geohashManager.getCoordinates(gridId);
+            return {
+                gridId,
+                places: generatePlaces(gridId, commodityType, perCell),
+                centerLat: cellCenter.lat,
+                centerLng: cellCenter.lng,
+                resolvedPrecision: gridId.length
+            };
+        });
+        await dataManager.cacheManager.storeGrids(grids, commodityType);
+
+        const count = grids.reduce((sum, grid) => sum + grid.places.length, 0);
+        placeCount += count;
+        console.log(`  - ${commodityType}: ${count} places`);
+    }
+
+    return { cells: cells.length, places: placeCount };
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - process.argv.slice(2)
+ * @returns {Object} Seed options
+ */
+function parseArgs(argv) {
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--center') {
+            const [lat, lng] = (argv[++i] || '').split(',').map(Number);
+            if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+                throw new Error('--center expects lat,lng');
+            }
+            options.center = { lat, lng };
+        } else if (arg === '--radius') {
+            options.radius = Number(argv[++i]);
+            if (!Number.isFinite(options.radius) || options.radius <= 0) {
+                throw new Error('--radius expects a positive number of meters');
+            }
+        } else if (arg === '--types') {
+            options.commodityTypes = (argv[++i] || '').split(',').map(t => t.trim()).filter(Boolean);
+        } else if (arg === '--per-cell') {
+            options.perCell = parseInt(argv[++i], 10);
+            if (!Number.isInteger(options.perCell) || options.perCell < 0) {
+                throw new Error('--per-cell expects a non-negative integer');
+            }
+        } else {
+            throw new Error(`Unknown argument: ${arg}\n${USAGE}`);
+        }
+    }
+    return options;
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    try {
+        await connect();
+        const { places } = await seed(new DataManager(), options);
+        console.log(`✅ Seeded ${places} places`);
+    } catch (error) {
+        console.error('❌ Seed error:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await disconnect();
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { seed };
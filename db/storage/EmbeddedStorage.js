@@ -0,0 +1,560 @@
+/**
+ * Embedded storage backend: keeps every collection in process memory
+ * For laptops, tests and small deployments that run without a MongoDB server.
+ *
+ * With a path, the data is loaded from that file on connect and written back a moment
+ * after each change and on disconnect (through a temporary file, so a crash never leaves
+ * a half-written store). A path ending in .ndjson is written one document per line,
+ * { "collection": ..., "document": ... }; any other path as a single JSON object of
+ * collections. Without a path nothing is persisted.
+ *
+ * Queries scan the collections, which is fine up to a few hundred thousand places; one
+ * process must own the file (there is no locking between processes).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { PlaceRepository, GridRepository, ApiCallRepository, PrewarmJobRepository } = require('./repositories');
+const { haversineDistance, getPlaceLatLng, isPlaceInCell } = require('../geoUtils');
+const geohashCover = require('../geohashCover');
+
+const COLLECTIONS = ['places', 'grids', 'apiCalls', 'prewarmJobs'];
+
+// Fields restored as Date when loading a store file
+const DATE_FIELDS = ['fetchedAt', 'expiresAt', 'lastUpdated', 'calledAt', 'startedAt', 'finishedAt', 'createdAt', 'updatedAt'];
+
+/**
+ * New document ID (24 hex characters, like a MongoDB ObjectId)
+ * @returns {string}
+ */
+function newId() {
+    return crypto.randomBytes(12).toString('hex');
+}
+
+/**
+ * Drop undefined fields, so an update leaves those stored values unchanged
+ * @param {Object} fields - Fields to set
+ * @returns {Object} Defined fields
+ */
+function definedFields(fields) {
+    return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Whether a geohash lies inside any of the given cells
+ * @param {string} hash - Geohash
+ * @param {Array<string>} gridIds - Geohash grid IDs
+ * @returns {boolean}
+ */
+function inCells(hash, gridIds) {
+    return typeof hash === 'string' && gridIds.some(gridId => hash.startsWith(gridId));
+}
+
+/**
+ * Start of the UTC day or week (weeks start on Monday) containing a date
+ * @param {Date} date - Date
+ * @param {string} unit - 'day' or 'week'
+ * @returns {Date}
+ */
+function truncateUTC(date, unit) {
+    const day = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    if (unit !== 'week') return new Date(day);
+    return new Date(day - ((date.getUTCDay() + 6) % 7) * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Restore the Date fields of a document read from JSON
+ * @param {Object} document - Parsed document
+ * @returns {Object} The same document
+ */
+function reviveDates(document) {
+    DATE_FIELDS.forEach(field => {
+        if (typeof document[field] === 'string') document[field] = new Date(document[field]);
+    });
+    return document;
+}
+
+class EmbeddedPlaceRepository extends PlaceRepository {
+    /**
+     * @param {EmbeddedStorage} storage - Owning store
+     */
+    constructor(storage) {
+        super();
+        this.storage = storage;
+        this.places = new Map(); // place_id -> place (replaced, never mutated, on update)
+    }
+
+    /**
+     * Places matching optional type and cell filters
+     * @param {Object} filters - { commodityType, gridIds }
+     * @returns {Array} Places
+     */
+    filter({ commodityType = null, gridIds = null } = {}) {
+        const result = [];
+        for (const place of this.places.values()) {
+            if (commodityType && !place.commodityTypes.includes(commodityType)) continue;
+            if (gridIds && !inCells(place.geohash, gridIds)) continue;
+            result.push(place);
+        }
+        return result;
+    }
+
+    async findInGrids(gridIds, commodityType = null) {
+        return this.filter({ commodityType, gridIds });
+    }
+
+    async findNear(lat, lng, radiusMeters, filters = {}) {
+        const center = { lat, lng };
+        return this.filter(filters)
+            .map(place => ({ place, distance: haversineDistance(center, getPlaceLatLng(place)) }))
+            .filter(({ distance }) => distance <= radiusMeters)
+            .sort((a, b) => a.distance - b.distance)
+            .map(({ place }) => place);
+    }
+
+    async findWithin(polygon, filters = {}) {
+        const shape = geohashCover.createPolygon(polygon);
+        return this.filter(filters).filter(place => shape.containsPoint(getPlaceLatLng(place)));
+    }
+
+    async countInGrid(gridId, commodityType) {
+        return this.filter({ commodityType, gridIds: [gridId] }).length;
+    }
+
+    async upsertMany(places) {
+        let inserted = 0;
+        let updated = 0;
+        places.forEach(({ place_id, commodityTypes = [], ...fields }) => {
+            const existing = this.places.get(place_id);
+            if (existing) {
+                updated += 1;
+            } else {
+                inserted += 1;
+            }
+            const base = existing || { _id: newId(), place_id, commodityTypes: [], fetchedAt: new Date() };
+            this.places.set(place_id, {
+                ...base,
+                ...definedFields(fields),
+                commodityTypes: [...new Set([...base.commodityTypes, ...commodityTypes])]
+            });
+        });
+        if (places.length > 0) this.storage.changed();
+        return { inserted, updated };
+    }
+
+    /**
+     * Remove a commodity type from one place, deleting it when left without any type
+     * @param {Object} place - Stored place
+     * @param {string} commodityType - Commodity type
+     * @returns {boolean} True if the place was deleted
+     */
+    pullType(place, commodityType) {
+        const commodityTypes = place.commodityTypes.filter(type => type !== commodityType);
+        if (commodityTypes.length === 0) {
+            this.places.delete(place.place_id);
+            return true;
+        }
+        this.places.set(place.place_id, { ...place, commodityTypes });
+        return false;
+    }
+
+    async removeType(commodityType, cells) {
+        let removed = 0;
+        cells.forEach(({ gridId, keepIds }) => {
+            const keep = new Set(keepIds);
+            this.filter({ commodityType })
+                .filter(place => isPlaceInCell(place, gridId) && !keep.has(place.place_id))
+                .forEach(place => {
+                    this.pullType(place, commodityType);
+                    removed += 1;
+                });
+        });
+        if (removed > 0) this.storage.changed();
+        return removed;
+    }
+
+    async purge({ polygon = null, fetchedBefore = null, commodityType = null } = {}) {
+        const shape = polygon ? geohashCover.createPolygon(polygon) : null;
+        const matching = this.filter({ commodityType }).filter(place =>
+            (!shape || shape.containsPoint(getPlaceLatLng(place))) &&
+            (!fetchedBefore || place.fetchedAt < fetchedBefore));
+
+        let deleted = 0;
+        let updated = 0;
+        matching.forEach(place => {
+            if (!commodityType) {
+                this.places.delete(place.place_id);
+                deleted += 1;
+            } else if (this.pullType(place, commodityType)) {
+                deleted += 1;
+            } else {
+                updated += 1;
+            }
+        });
+        if (matching.length > 0) this.storage.changed();
+        return { deleted, updated };
+    }
+
+    async getStats() {
+        const byCommodityType = {};
+        for (const place of this.places.values()) {
+            place.commodityTypes.forEach(type => {
+                byCommodityType[type] = (byCommodityType[type] || 0) + 1;
+            });
+        }
+        return { count: this.places.size, byCommodityType };
+    }
+}
+
+class EmbeddedGridRepository extends GridRepository {
+    /**
+     * @param {EmbeddedStorage} storage - Owning store
+     */
+    constructor(storage) {
+        super();
+        this.storage = storage;
+        this.grids = new Map(); // "commodityType|geohash" -> entry (replaced, never mutated, on update)
+    }
+
+    key(geohash, commodityType) {
+        return `${commodityType}|${geohash}`;
+    }
+
+    async find({ geohashes, commodityType, fetchStatuses = null, expiresAfter = null, withPlaceCount = false }) {
+        return geohashes
+            .map(geohash => this.grids.get(this.key(geohash, commodityType)))
+            .filter(entry => entry &&
+                (!fetchStatuses || fetchStatuses.includes(entry.fetchStatus)) &&
+                (!expiresAfter || entry.expiresAt > expiresAfter) &&
+                (!withPlaceCount || typeof entry.placeCount === 'number'));
+    }
+
+    async markExpired(geohashes, commodityType) {
+        const now = new Date();
+        geohashes.forEach(geohash => {
+            const key = this.key(geohash, commodityType);
+            const entry = this.grids.get(key);
+            if (entry && entry.fetchStatus === 'cached') {
+                this.grids.set(key, { ...entry, fetchStatus: 'expired', lastUpdated: now });
+            }
+        });
+        if (geohashes.length > 0) this.storage.changed();
+    }
+
+    async upsertMany(entries) {
+        let inserted = 0;
+        let updated = 0;
+        entries.forEach(({ geohash, commodityType, ...fields }) => {
+            const key = this.key(geohash, commodityType);
+            const existing = this.grids.get(key);
+            if (existing) {
+                updated += 1;
+            } else {
+                inserted += 1;
+            }
+            const base = existing || {
+                _id: newId(),
+                geohash,
+                commodityType,
+                rolledUp: false,
+                fetchStatus: 'pending',
+                lastUpdated: new Date()
+            };
+            this.grids.set(key, { ...base, ...definedFields(fields) });
+        });
+        if (entries.length > 0) this.storage.changed();
+        return { inserted, updated };
+    }
+
+    async purge({ expiredBefore = null, geohashes = null, prefixes = null, commodityType = null } = {}) {
+        let deleted = 0;
+        for (const [key, entry] of [...this.grids.entries()]) {
+            if (expiredBefore && !(entry.expiresAt <= expiredBefore)) continue;
+            if ((geohashes || prefixes) &&
+                !(geohashes || []).includes(entry.geohash) && !inCells(entry.geohash, prefixes || [])) continue;
+            if (commodityType && entry.commodityType !== commodityType) continue;
+            this.grids.delete(key);
+            deleted += 1;
+        }
+        if (deleted > 0) this.storage.changed();
+        return deleted;
+    }
+
+    async getStats({ now, staleSince, ageBoundaries }) {
+        const byCommodityType = {};
+        const byPrecision = new Map();
+        const byAge = new Map(); // bucket index (-1 outside the boundaries) -> grids
+
+        for (const entry of this.grids.values()) {
+            const expired = !(entry.expiresAt > now);
+            const type = byCommodityType[entry.commodityType] = byCommodityType[entry.commodityType] ||
+                { grids: 0, cached: 0, expired: 0, stale: 0, rolledUp: 0, oldestFetch: null, newestFetch: null };
+            type.grids += 1;
+            if (entry.fetchStatus === 'cached' && !expired) type.cached += 1;
+            if (expired) type.expired += 1;
+            if (expired && entry.expiresAt > staleSince) type.stale += 1;
+            if (entry.rolledUp) type.rolledUp += 1;
+            if (entry.fetchedAt) {
+                if (!type.oldestFetch || entry.fetchedAt < type.oldestFetch) type.oldestFetch = entry.fetchedAt;
+                if (!type.newestFetch || entry.fetchedAt > type.newestFetch) type.newestFetch = entry.fetchedAt;
+            }
+
+            const precision = byPrecision.get(entry.geohash.length) || { precision: entry.geohash.length, grids: 0, expired: 0 };
+            precision.grids += 1;
+            if (expired) precision.expired += 1;
+            byPrecision.set(entry.geohash.length, precision);
+
+            let bucket = -1;
+            if (entry.fetchedAt && entry.fetchedAt <= now) {
+                ageBoundaries.forEach((from, i) => {
+                    if (entry.fetchedAt >= from) bucket = i;
+                });
+            }
+            byAge.set(bucket, (byAge.get(bucket) || 0) + 1);
+        }
+
+        return {
+            count: this.grids.size,
+            byCommodityType,
+            byPrecision: [...byPrecision.values()].sort((a, b) => a.precision - b.precision),
+            byAge: [...byAge.entries()]
+                .sort(([a], [b]) => (a === -1) - (b === -1) || a - b)
+                .map(([bucket, grids]) => ({ from: bucket === -1 ? null : ageBoundaries[bucket], grids }))
+        };
+    }
+}
+
+class EmbeddedApiCallRepository extends ApiCallRepository {
+    /**
+     * @param {EmbeddedStorage} storage - Owning store
+     */
+    constructor(storage) {
+        super();
+        this.storage = storage;
+        this.apiCalls = []; // Oldest first
+    }
+
+    async create(entry) {
+        this.apiCalls.push({ _id: newId(), estimatedCost: 0, success: true, calledAt: new Date(), ...definedFields(entry) });
+        this.storage.changed();
+    }
+
+    async getSpendTotals(monthStart, dayStart) {
+        let monthly = 0;
+        let daily = 0;
+        this.apiCalls.forEach(call => {
+            if (call.calledAt < monthStart) return;
+            monthly += call.estimatedCost;
+            if (call.calledAt >= dayStart) daily += call.estimatedCost;
+        });
+        return { monthly, daily };
+    }
+
+    async getReport(since, unit) {
+        const rows = new Map();
+        this.apiCalls.forEach(call => {
+            if (call.calledAt < since) return;
+            const period = truncateUTC(call.calledAt, unit);
+            const key = `${period.getTime()}|${call.commodityType}`;
+            if (!rows.has(key)) {
+                rows.set(key, { period, commodityType: call.commodityType, calls: 0, failedCalls: 0, results: 0, estimatedCost: 0 });
+            }
+            const row = rows.get(key);
+            row.calls += 1;
+            if (!call.success) row.failedCalls += 1;
+            row.results += call.resultCount || 0;
+            row.estimatedCost += call.estimatedCost;
+        });
+        return [...rows.values()].sort((a, b) => a.period - b.period);
+    }
+}
+
+class EmbeddedPrewarmJobRepository extends PrewarmJobRepository {
+    /**
+     * @param {EmbeddedStorage} storage - Owning store
+     */
+    constructor(storage) {
+        super();
+        this.storage = storage;
+        this.jobs = new Map(); // id -> job
+    }
+
+    async create(fields) {
+        const now = new Date();
+        const job = {
+            _id: newId(),
+            ...fields,
+            status: 'running',
+            progress: { total: 0, processed: 0, cached: 0, fetched: 0, failed: 0 },
+            calls: 0,
+            estimatedCost: 0,
+            placeCount: 0,
+            runs: 0,
+            error: null,
+            startedAt: now,
+            finishedAt: null,
+            createdAt: now,
+            updatedAt: now
+        };
+        this.jobs.set(job._id, job);
+        this.storage.changed();
+        return structuredClone(job);
+    }
+
+    async findById(id) {
+        const job = this.jobs.get(String(id));
+        return job ? structuredClone(job) : null;
+    }
+
+    async findByStatus(status) {
+        return [...this.jobs.values()].filter(job => job.status === status).map(job => structuredClone(job));
+    }
+
+    async listRecent(limit) {
+        return [...this.jobs.values()]
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .slice(0, limit)
+            .map(({ area, ...job }) => structuredClone(job));
+    }
+
+    async update(id, fields) {
+        const job = this.jobs.get(String(id));
+        if (!job) return;
+        this.jobs.set(job._id, { ...job, ...structuredClone(definedFields(fields)), updatedAt: new Date() });
+        this.storage.changed();
+    }
+}
+
+class EmbeddedStorage {
+    /**
+     * @param {Object} options
+     * @param {string|null} options.path - Store file, relative to the project root (null: memory only)
+     * @param {number} options.flushIntervalMs - Delay between a change and writing the file
+     */
+    constructor({ path: file = null, flushIntervalMs = 2000 } = {}) {
+        this.file = file ? path.resolve(__dirname, '..', '..', file) : null;
+        this.flushIntervalMs = flushIntervalMs;
+        this.places = new EmbeddedPlaceRepository(this);
+        this.grids = new EmbeddedGridRepository(this);
+        this.apiCalls = new EmbeddedApiCallRepository(this);
+        this.prewarmJobs = new EmbeddedPrewarmJobRepository(this);
+        this.dirty = false;
+        this.flushTimer = null;
+        this.writing = Promise.resolve();
+    }
+
+    /**
+     * Load the store file (a missing file starts an empty store)
+     * @returns {Promise<void>}
+     * @throws {Error} When the file exists but cannot be read or parsed
+     */
+    async connect() {
+        if (this.file) {
+            let text = null;
+            try {
+                text = await fs.promises.readFile(this.file, 'utf8');
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+            if (text !== null) this.load(text);
+        }
+
+        const persistence = this.file ? `persisted to ${this.file}` : 'in memory only';
+        console.log(`✅ Using the embedded store (${this.places.places.size} places, ${this.grids.grids.size} grids, ${persistence})`);
+    }
+
+    /**
+     * Write pending changes and stop the flush timer
+     * @returns {Promise<void>}
+     */
+    async disconnect() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        await this.flush();
+        console.log('Closed the embedded store');
+    }
+
+    /**
+     * Replace the collections with the contents of a store file
+     * @param {string} text - JSON or NDJSON store file contents
+     */
+    load(text) {
+        const collections = { places: [], grids: [], apiCalls: [], prewarmJobs: [] };
+        if (this.file.endsWith('.ndjson')) {
+            text.split('\n').filter(line => line.trim()).forEach(line => {
+                const { collection, document } = JSON.parse(line);
+                if (collections[collection]) collections[collection].push(document);
+            });
+        } else {
+            const parsed = JSON.parse(text);
+            COLLECTIONS.forEach(name => {
+                collections[name] = parsed[name] || [];
+            });
+        }
+
+        this.places.places = new Map(collections.places.map(reviveDates).map(place => [place.place_id, place]));
+        this.grids.grids = new Map(collections.grids.map(reviveDates).map(entry => [this.grids.key(entry.geohash, entry.commodityType), entry]));
+        this.apiCalls.apiCalls = collections.apiCalls.map(reviveDates);
+        this.prewarmJobs.jobs = new Map(collections.prewarmJobs.map(reviveDates).map(job => [job._id, job]));
+    }
+
+    /**
+     * Serialise the collections in the store file's format
+     * @returns {string} File contents
+     */
+    serialize() {
+        const collections = {
+            places: [...this.places.places.values()],
+            grids: [...this.grids.grids.values()],
+            apiCalls: this.apiCalls.apiCalls,
+            prewarmJobs: [...this.prewarmJobs.jobs.values()]
+        };
+        if (this.file.endsWith('.ndjson')) {
+            return COLLECTIONS
+                .flatMap(collection => collections[collection].map(document => JSON.stringify({ collection, document })))
+                .join('\n') + '\n';
+        }
+        return JSON.stringify(collections);
+    }
+
+    /**
+     * Note a change: the file is written flushIntervalMs later
+     */
+    changed() {
+        if (!this.file) return;
+        this.dirty = true;
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush().catch(error => console.error(`❌ Could not write the embedded store: ${error.message}`));
+        }, this.flushIntervalMs);
+        // Pending writes must not keep a finished script alive; disconnect() writes them
+        this.flushTimer.unref();
+    }
+
+    /**
+     * Write the store file now if anything changed (writes are queued, never concurrent)
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        this.writing = this.writing.catch(() => {}).then(async () => {
+            if (!this.file || !this.dirty) return;
+            this.dirty = false;
+            const contents = this.serialize();
+            const temporary = `${this.file}.tmp`;
+            try {
+                await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+                await fs.promises.writeFile(temporary, contents);
+                await fs.promises.rename(temporary, this.file);
+            } catch (error) {
+                // Keep the changes pending for the next flush
+                this.dirty = true;
+                throw error;
+            }
+        });
+        return this.writing;
+    }
+}
+
+module.exports = EmbeddedStorage;
@@ -0,0 +1,356 @@
+/**
+ * MongoDB storage backend (mongoose models of db/models.js)
+ * Needs the MongoDB server of docker-compose (or MONGODB_URI); run `npm run db:init`
+ * once to create the indexes the spatial queries rely on.
+ */
+
+const mongoose = require('mongoose');
+const { Place, Grid, PrewarmJob, ApiCall } = require('../models');
+const { PlaceRepository, GridRepository, ApiCallRepository, PrewarmJobRepository } = require('./repositories');
+const { toGeoJSONPoint, isPlaceInCell } = require('../geoUtils');
+
+/**
+ * Match geohashes inside any of the given cells (anchored prefixes use the geohash index)
+ * @param {Array<string>} gridIds - Geohash grid IDs
+ * @returns {Object} MongoDB condition for a geohash field
+ */
+function inCells(gridIds) {
+    return { $in: gridIds.map(gridId => new RegExp(`^${gridId}`)) };
+}
+
+/**
+ * Drop undefined fields, so $set leaves those stored values unchanged
+ * @param {Object} fields - Fields to set
+ * @returns {Object} Defined fields
+ */
+function definedFields(fields) {
+    return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+}
+
+class MongoPlaceRepository extends PlaceRepository {
+    /**
+     * Place query from optional type and cell filters
+     * @param {Object} filters - { commodityType, gridIds }
+     * @returns {Object} MongoDB query
+     */
+    buildQuery({ commodityType = null, gridIds = null } = {}) {
+        const query = {};
+        if (commodityType) query.commodityTypes = commodityType;
+        if (gridIds) query.geohash = inCells(gridIds);
+        return query;
+    }
+
+    async findInGrids(gridIds, commodityType = null) {
+        return Place.find(this.buildQuery({ commodityType, gridIds })).lean();
+    }
+
+    async findNear(lat, lng, radiusMeters, filters = {}) {
+        return Place.find({
+            ...this.buildQuery(filters),
+            location: {
+                $nearSphere: {
+                    $geometry: toGeoJSONPoint(lat, lng),
+                    $maxDistance: radiusMeters
+                }
+            }
+        }).lean();
+    }
+
+    async findWithin(polygon, filters = {}) {
+        return Place.find({
+            ...this.buildQuery(filters),
+            location: { $geoWithin: { $geometry: polygon } }
+        }).lean();
+    }
+
+    async countInGrid(gridId, commodityType) {
+        return Place.countDocuments(this.buildQuery({ commodityType, gridIds: [gridId] }));
+    }
+
+    async upsertMany(places) {
+        if (places.length === 0) return { inserted: 0, updated: 0 };
+
+        const result = await Place.bulkWrite(places.map(({ place_id, commodityTypes = [], ...fields }) => ({
+            updateOne: {
+                filter: { place_id },
+                update: {
+                    $set: definedFields(fields),
+                    $addToSet: { commodityTypes: { $each: commodityTypes } }
+                },
+                upsert: true
+            }
+        })), { ordered: false });
+        return { inserted: result.upsertedCount, updated: result.modifiedCount };
+    }
+
+    async removeType(commodityType, cells) {
+        if (cells.length === 0) return 0;
+
+        // Cells finer than the stored geohashes (sub-cells of a subdivision) hold the places
+        // of their ancestor geohash that lie inside them
+        const ancestors = [...new Set(cells.flatMap(({ gridId }) =>
+            Array.from({ length: gridId.length - 1 }, (_, i) => gridId.slice(0, i + 1))))];
+        const coarser = await Place.find(
+            { geohash: { $in: ancestors }, commodityTypes: commodityType },
+            { place_id: 1, geohash: 1, location: 1 }
+        ).lean();
+
+        const result = await Place.bulkWrite(cells.map(({ gridId, keepIds }) => ({
+            updateMany: {
+                filter: {
+                    $or: [
+                        { geohash: inCells([gridId]) },
+                        { place_id: { $in: coarser.filter(place => isPlaceInCell(place, gridId)).map(place => place.place_id) } }
+                    ],
+                    commodityTypes: commodityType,
+                    place_id: { $nin: keepIds }
+                },
+                update: { $pull: { commodityTypes: commodityType } }
+            }
+        })), { ordered: false });
+        if (result.modifiedCount > 0) {
+            await Place.deleteMany({ commodityTypes: { $size: 0 } });
+        }
+        return result.modifiedCount;
+    }
+
+    async purge({ polygon = null, fetchedBefore = null, commodityType = null } = {}) {
+        const query = this.buildQuery({ commodityType });
+        if (polygon) query.location = { $geoWithin: { $geometry: polygon } };
+        if (fetchedBefore) query.fetchedAt = { $lt: fetchedBefore };
+
+        if (commodityType) {
+            // Keep places that still serve other types
+            const pullResult = await Place.updateMany(query, { $pull: { commodityTypes: commodityType } });
+            const deleteResult = await Place.deleteMany({ commodityTypes: { $size: 0 } });
+            return {
+                deleted: deleteResult.deletedCount,
+                updated: Math.max(0, pullResult.modifiedCount - deleteResult.deletedCount)
+            };
+        }
+        const deleteResult = await Place.deleteMany(query);
+        return { deleted: deleteResult.deletedCount, updated: 0 };
+    }
+
+    async getStats() {
+        const [count, byType] = await Promise.all([
+            Place.countDocuments(),
+            Place.aggregate([
+                { $unwind: '$commodityTypes' },
+                { $group: { _id: '$commodityTypes', places: { $sum: 1 } } }
+            ])
+        ]);
+        return {
+            count,
+            byCommodityType: Object.fromEntries(byType.map(({ _id, places }) => [_id, places]))
+        };
+    }
+}
+
+class MongoGridRepository extends GridRepository {
+    async find({ geohashes, commodityType, fetchStatuses = null, expiresAfter = null, withPlaceCount = false }) {
+        const query = { geohash: { $in: geohashes }, commodityType };
+        if (fetchStatuses) query.fetchStatus = { $in: fetchStatuses };
+        if (expiresAfter) query.expiresAt = { $gt: expiresAfter };
+        if (withPlaceCount) query.placeCount = { $exists: true };
+        return Grid.find(query).lean();
+    }
+
+    async markExpired(geohashes, commodityType) {
+        await Grid.updateMany(
+            { geohash: { $in: geohashes }, commodityType, fetchStatus: 'cached' },
+            { $set: { fetchStatus: 'expired', lastUpdated: new Date() } }
+        );
+    }
+
+    async upsertMany(entries) {
+        if (entries.length === 0) return { inserted: 0, updated: 0 };
+
+        const result = await Grid.bulkWrite(entries.map(({ geohash, commodityType, ...fields }) => ({
+            updateOne: {
+                filter: { geohash, commodityType },
+                update: { $set: definedFields(fields) },
+                upsert: true
+            }
+        })), { ordered: false });
+        return { inserted: result.upsertedCount, updated: result.modifiedCount };
+    }
+
+    async purge({ expiredBefore = null, geohashes = null, prefixes = null, commodityType = null } = {}) {
+        const query = {};
+        if (expiredBefore) query.expiresAt = { $lte: expiredBefore };
+        if (geohashes || prefixes) {
+            query.$or = [
+                { geohash: { $in: geohashes || [] } },
+                { geohash: inCells(prefixes || []) }
+            ];
+        }
+        if (commodityType) query.commodityType = commodityType;
+
+        const result = await Grid.deleteMany(query);
+        return result.deletedCount;
+    }
+
+    async getStats({ now, staleSince, ageBoundaries }) {
+        const [count, byType, byPrecision, byAge] = await Promise.all([
+            Grid.countDocuments(),
+            Grid.aggregate([
+                {
+                    $group: {
+                        _id: '$commodityType',
+                        grids: { $sum: 1 },
+                        cached: { $sum: { $cond: [{ $and: [{ $eq: ['$fetchStatus', 'cached'] }, { $gt: ['$expiresAt', now] }] }, 1, 0] } },
+                        expired: { $sum: { $cond: [{ $lte: ['$expiresAt', now] }, 1, 0] } },
+                        stale: { $sum: { $cond: [{ $and: [{ $lte: ['$expiresAt', now] }, { $gt: ['$expiresAt', staleSince] }] }, 1, 0] } },
+                        rolledUp: { $sum: { $cond: ['$rolledUp', 1, 0] } },
+                        oldestFetch: { $min: '$fetchedAt' },
+                        newestFetch: { $max: '$fetchedAt' }
+                    }
+                }
+            ]),
+            Grid.aggregate([
+                {
+                    $group: {
+                        _id: { $strLenCP: '$geohash' },
+                        grids: { $sum: 1 },
+                        expired: { $sum: { $cond: [{ $lte: ['$expiresAt', now] }, 1, 0] } }
+                    }
+                },
+                { $sort: { _id: 1 } }
+            ]),
+            Grid.aggregate([
+                {
+                    $bucket: {
+                        groupBy: '$fetchedAt',
+                        boundaries: [...ageBoundaries, new Date(now.getTime() + 1)],
+                        default: 'unknown',
+                        output: { grids: { $sum: 1 } }
+                    }
+                }
+            ])
+        ]);
+
+        return {
+            count,
+            byCommodityType: Object.fromEntries(byType.map(({ _id, ...stats }) => [_id, stats])),
+            byPrecision: byPrecision.map(({ _id, ...stats }) => ({ precision: _id, ...stats })),
+            byAge: byAge.map(({ _id, grids }) => ({ from: _id instanceof Date ? _id : null, grids }))
+        };
+    }
+}
+
+class MongoApiCallRepository extends ApiCallRepository {
+    async create(entry) {
+        await ApiCall.create(entry);
+    }
+
+    async getSpendTotals(monthStart, dayStart) {
+        const [result] = await ApiCall.aggregate([
+            { $match: { calledAt: { $gte: monthStart } } },
+            {
+                $group: {
+                    _id: null,
+                    monthly: { $sum: '$estimatedCost' },
+                    daily: { $sum: { $cond: [{ $gte: ['$calledAt', dayStart] }, '$estimatedCost', 0] } }
+                }
+            }
+        ]);
+        return { monthly: result ? result.monthly : 0, daily: result ? result.daily : 0 };
+    }
+
+    async getReport(since, unit) {
+        const rows = await ApiCall.aggregate([
+            { $match: { calledAt: { $gte: since } } },
+            {
+                $group: {
+                    _id: {
+                        period: {
+                            $dateTrunc: { date: '$calledAt', unit, timezone: 'UTC', ...(unit === 'week' && { startOfWeek: 'monday' }) }
+                        },
+                        commodityType: '$commodityType'
+                    },
+                    calls: { $sum: 1 },
+                    failedCalls: { $sum: { $cond: ['$success', 0, 1] } },
+                    results: { $sum: { $ifNull: ['$resultCount', 0] } },
+                    estimatedCost: { $sum: '$estimatedCost' }
+                }
+            },
+            { $sort: { '_id.period': 1 } }
+        ]);
+        return rows.map(({ _id, ...stats }) => ({ period: _id.period, commodityType: _id.commodityType, ...stats }));
+    }
+}
+
+class MongoPrewarmJobRepository extends PrewarmJobRepository {
+    async create(fields) {
+        const job = await PrewarmJob.create(fields);
+        return job.toObject();
+    }
+
+    async findById(id) {
+        if (!mongoose.isValidObjectId(id)) return null;
+        return PrewarmJob.findById(id).lean();
+    }
+
+    async findByStatus(status) {
+        return PrewarmJob.find({ status }).lean();
+    }
+
+    async listRecent(limit) {
+        return PrewarmJob.find({}, { area: 0 }).sort({ createdAt: -1 }).limit(limit).lean();
+    }
+
+    async update(id, fields) {
+        await PrewarmJob.updateOne({ _id: id }, { $set: fields });
+    }
+}
+
+class MongoStorage {
+    /**
+     * @param {Object} options
+     * @param {string} options.uri - MongoDB connection string
+     */
+    constructor({ uri }) {
+        this.uri = uri;
+        this.places = new MongoPlaceRepository();
+        this.grids = new MongoGridRepository();
+        this.apiCalls = new MongoApiCallRepository();
+        this.prewarmJobs = new MongoPrewarmJobRepository();
+    }
+
+    /**
+     * Connect to MongoDB
+     * @returns {Promise<void>}
+     * @throws {Error} When the server is unreachable
+     */
+    async connect() {
+        console.log('Connecting to MongoDB at:', this.uri);
+        await mongoose.connect(this.uri);
+        console.log('✅ Connected to MongoDB');
+        await this.dropLegacyGridIndex();
+    }
+
+    /**
+     * Drop the unique index on Grid.geohash alone left by databases created before grids were
+     * cached per commodity type: it rejects a second type for the same cell (E11000), and
+     * mongoose cannot replace it with the non-unique index of the same name by itself.
+     * Migration 004 does the same along with the other index changes.
+     * @returns {Promise<void>}
+     */
+    async dropLegacyGridIndex() {
+        // The collection does not exist yet on a new database
+        const indexes = await Grid.collection.indexes().catch(() => []);
+        if (!indexes.some(index => index.name === 'geohash_1' && index.unique)) return;
+
+        await Grid.collection.dropIndex('geohash_1');
+        await Grid.createIndexes();
+        console.log('✅ Dropped the legacy unique index on grids.geohash');
+    }
+
+    async disconnect() {
+        await mongoose.disconnect();
+        console.log('Disconnected from MongoDB');
+    }
+}
+
+module.exports = MongoStorage;
@@ -0,0 +1,44 @@
+/**
+ * Storage backend factory
+ * Selects the backend named in config.storage.backend:
+ *   mongo    - MongoDB through mongoose (default)
+ *   embedded - in-process store with optional JSON / NDJSON persistence, no database server
+ * Every backend exposes the repositories of db/storage/repositories.js as places, grids,
+ * apiCalls and prewarmJobs, plus connect() and disconnect().
+ */
+const config = require('../../config/config');
+
+// Required on demand: the embedded backend must not need mongoose models compiled
+const backends = {
+    mongo: () => require('./MongoStorage'),
+    embedded: () => require('./EmbeddedStorage')
+};
+
+let storage = null;
+
+/**
+ * Create a storage backend
+ * @param {Object} storageConfig - config.storage
+ * @returns {Object} Storage instance
+ */
+function createStorage(storageConfig) {
+    const loadBackend = backends[storageConfig.backend];
+    if (!loadBackend) {
+        throw new Error(`Unknown storage backend "${storageConfig.backend}" (expected one of: ${Object.keys(backends).join(', ')})`);
+    }
+    const Storage = loadBackend();
+    return new Storage(storageConfig[storageConfig.backend] || {});
+}
+
+/**
+ * The configured storage backend, shared by the whole process
+ * @returns {Object} Storage instance
+ */
+function getStorage() {
+    if (!storage) {
+        storage = createStorage(config.storage);
+    }
+    return storage;
+}
+
+module.exports = { createStorage, getStorage };
@@ -0,0 +1,268 @@
+/**
+ * Storage repository interfaces
+ * CacheManager, SpendLedger and Prewarmer reach the database only through these, so the
+ * backend can be swapped (see db/storage/index.js). Repositories take and return plain
+ * objects in the shapes of the schemas in db/models.js; callers must not mutate what they get.
+ *
+ * Grid cells are geohashes of any precision: a place is "in" a cell when its geohash
+ * (stored at config.gridPrecision) starts with the cell's geohash.
+ */
+
+/**
+ * Error for interface methods a backend does not implement
+ * @param {Object} repository - Repository instance
+ * @param {string} method - Method name
+ * @returns {Error}
+ */
+function notImplemented(repository, method) {
+    return new Error(`${repository.constructor.name} does not implement ${method}`);
+}
+
+/**
+ * Places: one document per place_id
+ */
+class PlaceRepository {
+    /**
+     * Places inside any of the given cells
+     * @param {Array<string>} gridIds - Geohash grid IDs (any precision)
+     * @param {string} commodityType - Optional: only places of this commodity type
+     * @returns {Promise<Array>} Places
+     */
+    async findInGrids(gridIds, commodityType = null) {
+        throw notImplemented(this, 'findInGrids');
+    }
+
+    /**
+     * Places within a radius, nearest first
+     * @param {number} lat - Center latitude
+     * @param {number} lng - Center longitude
+     * @param {number} radiusMeters - Search radius
+     * @param {Object} filters
+     * @param {string} filters.commodityType - Optional: only places of this commodity type
+     * @param {Array<string>} filters.gridIds - Optional: only places inside these cells
+     * @returns {Promise<Array>} Places
+     */
+    async findNear(lat, lng, radiusMeters, { commodityType = null, gridIds = null } = {}) {
+        throw notImplemented(this, 'findNear');
+    }
+
+    /**
+     * Places inside a polygon
+     * @param {Object} polygon - GeoJSON Polygon or MultiPolygon
+     * @param {Object} filters
+     * @param {string} filters.commodityType - Optional: only places of this commodity type
+     * @param {Array<string>} filters.gridIds - Optional: only places inside these cells
+     * @returns {Promise<Array>} Places
+     */
+    async findWithin(polygon, { commodityType = null, gridIds = null } = {}) {
+        throw notImplemented(this, 'findWithin');
+    }
+
+    /**
+     * Number of places of a commodity type inside a cell
+     * @param {string} gridId - Geohash grid ID (any precision)
+     * @param {string} commodityType - Commodity type
+     * @returns {Promise<number>}
+     */
+    async countInGrid(gridId, commodityType) {
+        throw notImplemented(this, 'countInGrid');
+    }
+
+    /**
+     * Insert or update places by place_id
+     * Fields that are undefined leave the stored value unchanged; commodityTypes are added
+     * to the stored ones (set union).
+     * @param {Array<Object>} places - [{ place_id, commodityTypes, ...fields }]
+     * @returns {Promise<{inserted: number, updated: number}>}
+     */
+    async upsertMany(places) {
+        throw notImplemented(this, 'upsertMany');
+    }
+
+    /**
+     * Remove a commodity type from the places of cells that are not in the cell's keep list,
+     * then delete places left without any type
+     * @param {string} commodityType - Commodity type to remove
+     * @param {Array<Object>} cells - [{ gridId, keepIds }] (keepIds: place_ids that keep the type; cells finer
+     *   than the stored geohashes match the places located inside them)
+     * @returns {Promise<number>} Number of places that lost the type
+     */
+    async removeType(commodityType, cells) {
+        throw notImplemented(this, 'removeType');
+    }
+
+    /**
+     * Delete places matching all of the given filters; with a commodity type, places only lose
+     * that type (and are deleted when left without any)
+     * @param {Object} filters
+     * @param {Object} filters.polygon - Optional: only inside this GeoJSON Polygon or MultiPolygon
+     * @param {Date} filters.fetchedBefore - Optional: only places fetched before this time
+     * @param {string} filters.commodityType - Optional: only this commodity type
+     * @returns {Promise<{deleted: number, updated: number}>}
+     */
+    async purge({ polygon = null, fetchedBefore = null, commodityType = null } = {}) {
+        throw notImplemented(this, 'purge');
+    }
+
+    /**
+     * Place counts
+     * @returns {Promise<{count: number, byCommodityType: Object}>} Total, and count per commodity type
+     */
+    async getStats() {
+        throw notImplemented(this, 'getStats');
+    }
+}
+
+/**
+ * Grid cache entries: one document per (geohash, commodityType)
+ */
+class GridRepository {
+    /**
+     * Entries matching all of the given filters
+     * @param {Object} filters
+     * @param {Array<string>} filters.geohashes - Exact geohashes
+     * @param {string} filters.commodityType - Commodity type
+     * @param {Array<string>} filters.fetchStatuses - Optional: only entries with one of these statuses
+     * @param {Date} filters.expiresAfter - Optional: only entries expiring after this time
+     * @param {boolean} filters.withPlaceCount - Optional: only entries that have a placeCount
+     * @returns {Promise<Array>} Grid entries
+     */
+    async find({ geohashes, commodityType, fetchStatuses = null, expiresAfter = null, withPlaceCount = false }) {
+        throw notImplemented(this, 'find');
+    }
+
+    /**
+     * Set fetchStatus 'expired' on entries
+     * @param {Array<string>} geohashes - Exact geohashes
+     * @param {string} commodityType - Commodity type
+     * @returns {Promise<void>}
+     */
+    async markExpired(geohashes, commodityType) {
+        throw notImplemented(this, 'markExpired');
+    }
+
+    /**
+     * Insert or update entries by (geohash, commodityType), setting the given fields
+     * @param {Array<Object>} entries - [{ geohash, commodityType, ...fields }]
+     * @returns {Promise<{inserted: number, updated: number}>}
+     */
+    async upsertMany(entries) {
+        throw notImplemented(this, 'upsertMany');
+    }
+
+    /**
+     * Delete entries matching all of the given filters
+     * @param {Object} filters
+     * @param {Date} filters.expiredBefore - Optional: only entries that expired at or before this time
+     * @param {Array<string>} filters.geohashes - Optional, area filter: entries with exactly one of
+     *   these geohashes, or (see prefixes) ...
+     * @param {Array<string>} filters.prefixes - Optional, area filter: ... entries inside one of these cells
+     * @param {string} filters.commodityType - Optional: only this commodity type
+     * @returns {Promise<number>} Number of deleted entries
+     */
+    async purge({ expiredBefore = null, geohashes = null, prefixes = null, commodityType = null } = {}) {
+        throw notImplemented(this, 'purge');
+    }
+
+    /**
+     * Entry counts by commodity type, precision and fetch age
+     * @param {Object} options
+     * @param {Date} options.now - Reference time
+     * @param {Date} options.staleSince - Entries expired after this time are stale
+     * @param {Array<Date>} options.ageBoundaries - Ascending fetch time boundaries of the age buckets
+     * @returns {Promise<Object>} { count,
+     *   byCommodityType: { type: { grids, cached, expired, stale, rolledUp, oldestFetch, newestFetch } },
+     *   byPrecision: [{ precision, grids, expired }],
+     *   byAge: [{ from, grids }] } (from is the bucket's lower boundary, null outside the boundaries)
+     */
+    async getStats({ now, staleSince, ageBoundaries }) {
+        throw notImplemented(this, 'getStats');
+    }
+}
+
+/**
+ * Spend ledger: one document per outbound places provider call
+ */
+class ApiCallRepository {
+    /**
+     * Record a call
+     * @param {Object} entry - ApiCall fields
+     * @returns {Promise<void>}
+     */
+    async create(entry) {
+        throw notImplemented(this, 'create');
+    }
+
+    /**
+     * Estimated cost of the calls since the start of a month and of a day
+     * @param {Date} monthStart - Start of the month
+     * @param {Date} dayStart - Start of the day
+     * @returns {Promise<{monthly: number, daily: number}>}
+     */
+    async getSpendTotals(monthStart, dayStart) {
+        throw notImplemented(this, 'getSpendTotals');
+    }
+
+    /**
+     * Calls since a time, grouped by UTC period and commodity type
+     * @param {Date} since - Start of the report
+     * @param {string} unit - 'day' or 'week' (weeks start on Monday)
+     * @returns {Promise<Array<Object>>} [{ period, commodityType, calls, failedCalls, results, estimatedCost }]
+     */
+    async getReport(since, unit) {
+        throw notImplemented(this, 'getReport');
+    }
+}
+
+/**
+ * Prewarm jobs
+ */
+class PrewarmJobRepository {
+    /**
+     * Create a job with the schema defaults (status 'running', zero progress and totals)
+     * @param {Object} fields - { area, commodityTypes, budget, concurrency }
+     * @returns {Promise<Object>} Created job
+     */
+    async create(fields) {
+        throw notImplemented(this, 'create');
+    }
+
+    /**
+     * Get a job
+     * @param {string} id - Job ID
+     * @returns {Promise<Object|null>} Job (null if not found)
+     */
+    async findById(id) {
+        throw notImplemented(this, 'findById');
+    }
+
+    /**
+     * Jobs with a status
+     * @param {string} status - Job status
+     * @returns {Promise<Array<Object>>} Jobs
+     */
+    async findByStatus(status) {
+        throw notImplemented(this, 'findByStatus');
+    }
+
+    /**
+     * Most recently created jobs, without their area
+     * @param {number} limit - Maximum number of jobs
+     * @returns {Promise<Array<Object>>} Jobs, newest first
+     */
+    async listRecent(limit) {
+        throw notImplemented(this, 'listRecent');
+    }
+
+    /**
+     * Set fields of a job
+     * @param {string} id - Job ID
+     * @param {Object} fields - Fields to set
+     * @returns {Promise<void>}
+     */
+    async update(id, fields) {
+        throw notImplemented(this, 'update');
+    }
+}
+
+module.exports = { PlaceRepository, GridRepository, ApiCallRepository, PrewarmJobRepository };
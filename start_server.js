@@ -3,10 +3,193 @@ const fs = require('fs');
 const path = require('path');
 const url = require('url');
 const DataManager = require('./db/DatabaseManager');
-const { connect } = require('./db/connection');
+const Prewarmer = require('./db/Prewarmer');
+const { boxToPolygon, getPolygonGeometry } = require('./db/geoUtils');
+const { mapWithConcurrency } = require('./db/asyncPool');
+const { CallAllowance } = require('./db/resilience');
+const { connect, disconnect } = require('./db/connection');
+const config = require('./config/config');
+const CommodityScorer = require('./web/commodityScoring');
+const { ScoringMap } = require('./web/CalculateScore');
+const CommodityCatalog = require('./web/commodityCatalog');
 
 const PORT = process.env.PORT || 9000;
 const dataManager = new DataManager();
+const prewarmer = new Prewarmer(dataManager);
+
+// Commodity types users weigh (validated at startup: a bad catalog stops the server)
+const commodityCatalog = new CommodityCatalog(config.commodityCatalog);
+
+// Same scorer settings the browser uses in initializeScoringMap
+const SCORER_CONFIG = {
+    maxDistance: 5000,
+    decayFactor: 2,
+    varianceAmplification: 2,
+    nearestK: 3, // Distance mode: nearest places per commodity type credited to a cell
+    qualityWeight: 50 // Default of how much place ratings matter versus counts (0-100)
+};
+
+const MAX_GRID_SIZE = 50;
+const MAX_RADIUS = 50000;
+
+const GEOHASH_PATTERN = /^[0-9bcdefghjkmnpqrstuvwxyz]{1,12}$/;
+const PREWARM_JOB_PATH = /^\/api\/admin\/prewarm\/([0-9a-f]{24})(?:\/(pause|resume))?$/;
+
+/**
+ * Check the admin token of a request
+ * Admin routes are disabled unless ADMIN_TOKEN is configured
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {{ok: boolean, status: number, error: string}} Authorization result
+ */
+function checkAdmin(req) {
+    if (!config.adminToken) {
+        return { ok: false, status: 403, error: 'Admin API disabled: set ADMIN_TOKEN to enable it' };
+    }
+    if (req.headers['x-admin-token'] !== config.adminToken) {
+        return { ok: false, status: 401, error: 'Invalid or missing X-Admin-Token header' };
+    }
+    return { ok: true };
+}
+
+/**
+ * Parse the comma-separated types query parameter into places provider types
+ * @param {string} types - e.g. "restaurant,gas" (commodity ids or provider types)
+ * @returns {Array<string>} Provider types, once each (every catalog type when none requested)
+ */
+function parseCommodityTypes(types) {
+    const requestedTypes = types
+        ? types.split(',').map(t => t.trim()).filter(Boolean)
+        : [];
+
+    return requestedTypes.length > 0
+        ? [...new Set(requestedTypes.flatMap(t => commodityCatalog.resolveProviderTypes(t)))]
+        : commodityCatalog.getProviderTypes();
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {Promise<Object>} Parsed body (empty object if no body)
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            if (!body) return resolve({});
+            try {
+                resolve(JSON.parse(body));
+            } catch (error) {
+                reject(new Error('Invalid JSON body'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Normalize a bbox given as {north, south, east, west} or [west, south, east, north]
+ * @param {Object|Array<number>} bbox - Bounding box from the request
+ * @returns {{ne: {lat: number, lng: number}, sw: {lat: number, lng: number}}|null} Bounds, or null if invalid
+ */
+function parseBbox(bbox) {
+    if (!bbox) return null;
+    const [west, south, east, north] = Array.isArray(bbox)
+        ? bbox.map(Number)
+        : [bbox.west, bbox.south, bbox.east, bbox.north].map(Number);
+
+    if ([west, south, east, north].some(v => !Number.isFinite(v))) return null;
+    if (north <= south || east <= west) return null;
+    if (south < -90 || north > 90 || west < -180 || east > 180) return null;
+
+    return {
+        ne: { lat: north, lng: east },
+        sw: { lat: south, lng: west }
+    };
+}
+
+/**
+ * Provider calls one API request may make, across all the types it fetches
+ * @returns {CallAllowance} New allowance of config.placesProvider.maxCallsPerRequest calls
+ */
+function requestCallAllowance() {
+    return new CallAllowance(config.placesProvider.maxCallsPerRequest);
+}
+
+/**
+ * Score a bounding box on the server: fetch places through the cache, bin them into
+ * a gridSize x gridSize ScoringMap and run CommodityScorer over it
+ * @param {Object} bounds - {ne, sw} bounds from parseBbox
+ * @param {number} gridSize - Number of divisions per side
+ * @param {Object} weightsById - Weights (0-100) keyed by commodity id
+ * @param {Object} options - { mode, qualityWeight }
+ *   mode: 'count' (places in each cell) or 'distance' (nearest places)
+ *   qualityWeight: how much place ratings matter versus counts (0-100)
+ * @param {Object} context - { trigger, callAllowance } of the request, passed to fetchData
+ * @returns {Promise<Object>} { types, weights, mode, qualityWeight, cells, cacheOnly }
+ */
+async function scoreBoundingBox(bounds, gridSize, weightsById, { mode, qualityWeight }, context) {
+    const weights = commodityCatalog.toWeights(weightsById);
+
+    const scorer = new CommodityScorer({
+        ...SCORER_CONFIG,
+        mode,
+        qualityWeight,
+        utilityCurves: commodityCatalog.getUtilityCurves()
+    });
+    const center = {
+        lat: (bounds.ne.lat + bounds.sw.lat) / 2,
+        lng: (bounds.ne.lng + bounds.sw.lng) / 2
+    };
+    // Distance mode also needs the places just outside the box that still earn credit
+    const margin = mode === 'distance' ? scorer.getMaxUtilityDistance(weights.length) : 0;
+    const radius = Math.min(scorer.calculateDistance(bounds.ne, bounds.sw) / 2 + margin, MAX_RADIUS);
+
+    // Each place once, whichever provider types it was fetched for
+    const providerTypes = commodityCatalog.getProviderTypes();
+    const placesById = new Map();
+    let cacheOnly = false;
+    const results = await mapWithConcurrency(providerTypes, config.fetchConcurrency.types,
+        providerType => dataManager.fetchData(center.lat, center.lng, radius, providerType, context));
+    results.forEach(data => {
+        (data.places || []).forEach(place => placesById.set(place._id, place));
+        cacheOnly = cacheOnly || Boolean(data.budgetExhausted || data.providerUnavailable);
+    });
+
+    // A place serving several commodities counts toward each of them
+    const entries = [...placesById.values()].flatMap(place =>
+        commodityCatalog.getTypeIndices(place.commodityTypes).map(typeIndex => ({ place, typeIndex })));
+
+    const gridBounds = ScoringMap.toGridBounds(bounds, gridSize);
+    const scoringMap = new ScoringMap();
+    scoringMap.setGridSize(gridSize);
+    scoringMap.setWeight(weights);
+    scoringMap.populate(gridBounds, entries, weights.length);
+
+    const scores = scoringMap.calculateScores(scorer);
+    const cells = scores.map(scoreData => {
+        const cellIndex = parseInt(scoreData.gridId.split('_')[1]);
+        const cellBounds = gridBounds[cellIndex];
+        return {
+            cellIndex,
+            gridId: scoreData.gridId,
+            bounds: cellBounds,
+            center: {
+                lat: (cellBounds.ne.lat + cellBounds.sw.lat) / 2,
+                lng: (cellBounds.ne.lng + cellBounds.sw.lng) / 2
+            },
+            commodityCounts: scoringMap.getCell(cellIndex).getCommodities(),
+            baseScore: scoreData.baseScore,
+            aggregatedScore: scoreData.aggregatedScore,
+            contributingGrids: scoreData.contributingGrids,
+            breakdown: scoreData.breakdown
+        };
+    });
+
+    return { types: commodityCatalog.getIds(), weights, mode, qualityWeight, cells, cacheOnly };
+}
 
 const server = http.createServer(async (req, res) => {
     const parsedUrl = url.parse(req.url, true);
@@ -17,6 +200,13 @@ const server = http.createServer(async (req, res) => {
     console.log(`Pathname: ${pathname}`);
 
     // Handle API routes
+    if (pathname === '/api/commodity-types') {
+        res.setHeader('Content-Type', 'application/json');
+        res.statusCode = 200;
+        res.end(JSON.stringify({ types: commodityCatalog }));
+        return;
+    }
+
     if (pathname === '/api/commodities') {
         console.log('API route matched');
         res.setHeader('Content-Type', 'application/json');
@@ -24,60 +214,57 @@ const server = http.createServer(async (req, res) => {
         try {
             const lat = parseFloat(query.lat);
             const lng = parseFloat(query.lng);
-            const radius = parseFloat(query.radius);
-            
-            // Map form field names to Google Places API types
-            const typeMapping = {
-                'restaurant': 'restaurant',
-                'gas': 'gas_station',
-                'grocery': 'supermarket',
-                'pharmacy': 'pharmacy',
-                'school': 'school'
-            };
-            
-            // Get commodity types from query or use defaults
-            const defaultTypes = Object.values(typeMapping);
-            const requestedTypes = query.types 
-                ? query.types.split(',').map(t => t.trim()) 
-                : [];
+            // Same cap as /api/score: a larger circle would cover too many cells
+            const radius = Math.min(parseFloat(query.radius), MAX_RADIUS);
             
-            // Map form names to API types
-            const commodityTypes = requestedTypes.length > 0
-                ? requestedTypes.map(t => typeMapping[t] || t).filter(Boolean)
-                : defaultTypes;
+            const commodityTypes = parseCommodityTypes(query.types);
 
             console.log(`API request: lat=${lat}, lng=${lng}, radius=${radius}, types=[${commodityTypes.join(', ')}]`);
 
-            if (isNaN(lat) || isNaN(lng) || isNaN(radius)) {
+            if (isNaN(lat) || isNaN(lng) || !(radius > 0)) {
                 res.statusCode = 400;
-                res.end(JSON.stringify({ error: 'Invalid parameters: lat, lng, and radius must be numbers' }));
+                res.end(JSON.stringify({ error: 'Invalid parameters: lat and lng must be numbers, radius a positive number' }));
                 return;
             }
 
-            // Fetch data for each commodity type and aggregate
-            let allPlaces = [];
-            for (const commodityType of commodityTypes) {
+            // Fetch data for the commodity types in parallel and aggregate; all types share the
+            // request's provider call allowance
+            const context = { trigger: `${req.method} ${req.url}`, callAllowance: requestCallAllowance() };
+            const results = await mapWithConcurrency(commodityTypes, config.fetchConcurrency.types, commodityType => {
                 console.log(`Fetching ${commodityType}...`);
-                const data = await dataManager.fetchData(lat, lng, radius, commodityType);
+                return dataManager.fetchData(lat, lng, radius, commodityType, context);
+            });
+
+            let allPlaces = [];
+            let cacheOnly = false;
+            const status = {};
+            results.forEach((data, i) => {
+                const commodityType = commodityTypes[i];
+                cacheOnly = cacheOnly || Boolean(data.budgetExhausted || data.providerUnavailable);
+                status[commodityType] = data.status;
 
                 const source = data.newGrids && data.newGrids.length > 0 ? 'API' : 'CACHE';
-                console.log(`Fetched ${data.count} places for type ${commodityType} from ${source} (cached: ${data.cachedGrids.length}, new: ${data.newGrids.length})`);
+                console.log(`Fetched ${data.count} places for type ${commodityType} from ${source} (cached: ${data.cachedGrids.length}, stale: ${(data.staleGrids || []).length}, new: ${data.newGrids.length})`);
                 allPlaces = allPlaces.concat(data.places || []);
-            }
+            });
             
-            //Remove duplicates by place ID
-            const uniquePlaces = [];
-            const seenIds = new Set();
+            // Remove duplicates by place ID, merging the types of places found under several types
+            const placesById = new Map();
             for (const place of allPlaces) {
-                if (!seenIds.has(place._id)) {
-                    uniquePlaces.push(place);
-                    seenIds.add(place._id);
+                const existing = placesById.get(place._id);
+                if (existing) {
+                    existing.commodityTypes = [...new Set([...existing.commodityTypes, ...place.commodityTypes])];
+                } else {
+                    placesById.set(place._id, { ...place });
                 }
             }
+            const uniquePlaces = [...placesById.values()];
             
             console.log(`API response: ${uniquePlaces.length} unique places found`);
             res.statusCode = 200;
-            res.end(JSON.stringify({ places: uniquePlaces }));
+            // status per type: complete, degraded (partly from expired cache) or partial (areas missing)
+            // cacheOnly: the provider budget is exhausted or the provider is unavailable
+            res.end(JSON.stringify({ places: uniquePlaces, status, cacheOnly }));
         } catch (error) {
             console.error('API error:', error.message);
             res.statusCode = 500;
@@ -86,6 +273,275 @@ const server = http.createServer(async (req, res) => {
         return;
     }
 
+    if (pathname.startsWith('/api/admin/')) {
+        res.setHeader('Content-Type', 'application/json');
+
+        const auth = checkAdmin(req);
+        if (!auth.ok) {
+            res.statusCode = auth.status;
+            res.end(JSON.stringify({ error: auth.error }));
+            return;
+        }
+
+        try {
+            if (pathname === '/api/admin/cache/stats' && req.method === 'GET') {
+                const stats = await dataManager.getCacheStats();
+                res.statusCode = 200;
+                res.end(JSON.stringify({ ...stats, provider: dataManager.getProviderStatus() }));
+                return;
+            }
+
+            if (pathname === '/api/admin/cache/purge' && req.method === 'POST') {
+                const body = await readJsonBody(req);
+                const filters = {
+                    expired: body.expired === true,
+                    bbox: null,
+                    geohashPrefix: null,
+                    commodityType: null
+                };
+
+                if (body.commodityType) {
+                    const providerTypes = commodityCatalog.resolveProviderTypes(body.commodityType);
+                    if (providerTypes.length > 1) {
+                        res.statusCode = 400;
+                        res.end(JSON.stringify({ error: `${body.commodityType} covers several provider types, purge them one at a time: ${providerTypes.join(', ')}` }));
+                        return;
+                    }
+                    filters.commodityType = providerTypes[0];
+                }
+
+                if (body.bbox) {
+                    filters.bbox = parseBbox(body.bbox);
+                    if (!filters.bbox) {
+                        res.statusCode = 400;
+                        res.end(JSON.stringify({ error: 'Invalid bbox: expected {north, south, east, west} or [west, south, east, north]' }));
+                        return;
+                    }
+                }
+                if (body.geohashPrefix) {
+                    if (!GEOHASH_PATTERN.test(body.geohashPrefix)) {
+                        res.statusCode = 400;
+                        res.end(JSON.stringify({ error: 'Invalid geohashPrefix' }));
+                        return;
+                    }
+                    filters.geohashPrefix = body.geohashPrefix;
+                }
+                if (!filters.expired && !filters.bbox && !filters.geohashPrefix && !filters.commodityType) {
+                    res.statusCode = 400;
+                    res.end(JSON.stringify({ error: 'Nothing to purge: set expired, bbox, geohashPrefix or commodityType' }));
+                    return;
+                }
+
+                console.log(`Cache purge: ${JSON.stringify(filters)}`);
+                const result = await dataManager.purgeCache(filters);
+                res.statusCode = 200;
+                res.end(JSON.stringify({ filters, ...result }));
+                return;
+            }
+
+            if (pathname === '/api/admin/spend' && req.method === 'GET') {
+                const days = query.days === undefined ? 7 : parseInt(query.days, 10);
+                const weeks = query.weeks === undefined ? 4 : parseInt(query.weeks, 10);
+                if (!(days >= 1 && days <= 366) || !(weeks >= 1 && weeks <= 53)) {
+                    res.statusCode = 400;
+                    res.end(JSON.stringify({ error: 'days must be between 1 and 366, weeks between 1 and 53' }));
+                    return;
+                }
+
+                const report = await dataManager.getSpendReport({ days, weeks });
+                res.statusCode = 200;
+                res.end(JSON.stringify(report));
+                return;
+            }
+
+            if (pathname === '/api/admin/prewarm' && req.method === 'GET') {
+                const jobs = await prewarmer.listJobs();
+                res.statusCode = 200;
+                res.end(JSON.stringify({ jobs }));
+                return;
+            }
+
+            if (pathname === '/api/admin/prewarm' && req.method === 'POST') {
+                const body = await readJsonBody(req);
+                let area = null;
+                if (body.bbox) {
+                    const bounds = parseBbox(body.bbox);
+                    area = bounds && boxToPolygon(bounds.sw, bounds.ne);
+                } else if (body.polygon) {
+                    area = getPolygonGeometry(body.polygon);
+                }
+                if (!area) {
+                    res.statusCode = 400;
+                    res.end(JSON.stringify({ error: 'Provide a valid bbox ({north, south, east, west} or [west, south, east, north]) or a GeoJSON polygon' }));
+                    return;
+                }
+
+                const budget = Number(body.budget);
+                if (!Number.isFinite(budget) || budget < 0) {
+                    res.statusCode = 400;
+                    res.end(JSON.stringify({ error: 'budget must be a non-negative number' }));
+                    return;
+                }
+
+                const concurrency = body.concurrency === undefined ? undefined : parseInt(body.concurrency, 10);
+                if (concurrency !== undefined && !(concurrency >= 1 && concurrency <= 32)) {
+                    res.statusCode = 400;
+                    res.end(JSON.stringify({ error: 'concurrency must be between 1 and 32' }));
+                    return;
+                }
+
+                const commodityTypes = parseCommodityTypes(Array.isArray(body.types) ? body.types.join(',') : body.types);
+                const { job } = await prewarmer.start({ area, commodityTypes, budget, concurrency });
+                res.statusCode = 202;
+                res.end(JSON.stringify({ job }));
+                return;
+            }
+
+            const jobMatch = pathname.match(PREWARM_JOB_PATH);
+            if (jobMatch && !jobMatch[2] && req.method === 'GET') {
+                const job = await prewarmer.getJob(jobMatch[1]);
+                res.statusCode = job ? 200 : 404;
+                res.end(JSON.stringify(job ? { job } : { error: 'Prewarm job not found' }));
+                return;
+            }
+
+            if (jobMatch && jobMatch[2] === 'pause' && req.method === 'POST') {
+                const paused = prewarmer.pause(jobMatch[1]);
+                res.statusCode = paused ? 202 : 409;
+                res.end(JSON.stringify(paused ? { paused: true } : { error: 'Prewarm job is not running' }));
+                return;
+            }
+
+            if (jobMatch && jobMatch[2] === 'resume' && req.method === 'POST') {
+                const body = await readJsonBody(req);
+                const budget = body.budget === undefined ? undefined : Number(body.budget);
+                if (budget !== undefined && (!Number.isFinite(budget) || budget < 0)) {
+                    res.statusCode = 400;
+                    res.end(JSON.stringify({ error: 'budget must be a non-negative number' }));
+                    return;
+                }
+
+                try {
+                    const resumed = await prewarmer.resume(jobMatch[1], { budget });
+                    res.statusCode = resumed ? 202 : 404;
+                    res.end(JSON.stringify(resumed ? { job: resumed.job } : { error: 'Prewarm job not found' }));
+                } catch (error) {
+                    res.statusCode = 409;
+                    res.end(JSON.stringify({ error: error.message }));
+                }
+                return;
+            }
+
+            res.statusCode = 404;
+            res.end(JSON.stringify({ error: 'Not Found' }));
+        } catch (error) {
+            console.error('Admin API error:', error.message);
+            res.statusCode = error.message === 'Invalid JSON body' ? 400 : 500;
+            res.end(JSON.stringify({ error: error.message }));
+        }
+        return;
+    }
+
+    if (pathname === '/api/aggregates') {
+        res.setHeader('Content-Type', 'application/json');
+
+        try {
+            const lat = parseFloat(query.lat);
+            const lng = parseFloat(query.lng);
+            const radius = Math.min(parseFloat(query.radius), MAX_RADIUS);
+            const precision = query.precision ? parseInt(query.precision, 10) : undefined;
+            const commodityTypes = parseCommodityTypes(query.types);
+
+            if (isNaN(lat) || isNaN(lng) || !(radius > 0)) {
+                res.statusCode = 400;
+                res.end(JSON.stringify({ error: 'Invalid parameters: lat and lng must be numbers, radius a positive number' }));
+                return;
+            }
+            if (precision !== undefined && (isNaN(precision) || precision < 1 || precision > config.gridPrecision)) {
+                res.statusCode = 400;
+                res.end(JSON.stringify({ error: `Invalid precision: must be between 1 and ${config.gridPrecision}` }));
+                return;
+            }
+
+            // One entry per region cell with a count per commodity type
+            const cellsById = new Map();
+            for (const commodityType of commodityTypes) {
+                const aggregates = await dataManager.fetchAggregates(lat, lng, radius, commodityType, precision);
+                aggregates.forEach(({ gridId, centerLat, centerLng, placeCount }) => {
+                    if (!cellsById.has(gridId)) {
+                        cellsById.set(gridId, { gridId, centerLat, centerLng, counts: {} });
+                    }
+                    cellsById.get(gridId).counts[commodityType] = placeCount;
+                });
+            }
+
+            res.statusCode = 200;
+            res.end(JSON.stringify({ cells: [...cellsById.values()] }));
+        } catch (error) {
+            console.error('Aggregates API error:', error.message);
+            res.statusCode = 500;
+            res.end(JSON.stringify({ error: error.message }));
+        }
+        return;
+    }
+
+    if (pathname === '/api/score') {
+        res.setHeader('Content-Type', 'application/json');
+
+        if (req.method !== 'POST') {
+            res.statusCode = 405;
+            res.end(JSON.stringify({ error: 'Method not allowed: use POST' }));
+            return;
+        }
+
+        try {
+            const body = await readJsonBody(req);
+            const bounds = parseBbox(body.bbox);
+            const gridSize = body.gridSize === undefined ? 3 : Number(body.gridSize);
+            const weights = body.weights || {};
+            const mode = body.mode === undefined ? 'count' : body.mode;
+            const qualityWeight = body.qualityWeight === undefined ? SCORER_CONFIG.qualityWeight : body.qualityWeight;
+
+            if (!bounds) {
+                res.statusCode = 400;
+                res.end(JSON.stringify({ error: 'Invalid bbox: expected {north, south, east, west} or [west, south, east, north]' }));
+                return;
+            }
+            if (!Number.isInteger(gridSize) || gridSize < 1 || gridSize > MAX_GRID_SIZE) {
+                res.statusCode = 400;
+                res.end(JSON.stringify({ error: `Invalid gridSize: must be an integer between 1 and ${MAX_GRID_SIZE}` }));
+                return;
+            }
+            if (typeof weights !== 'object' || Array.isArray(weights)) {
+                res.statusCode = 400;
+                res.end(JSON.stringify({ error: 'Invalid weights: expected an object keyed by commodity id' }));
+                return;
+            }
+            if (!CommodityScorer.SCORING_MODES.includes(mode)) {
+                res.statusCode = 400;
+                res.end(JSON.stringify({ error: `Invalid mode: expected one of ${CommodityScorer.SCORING_MODES.join(', ')}` }));
+                return;
+            }
+            if (typeof qualityWeight !== 'number' || !(qualityWeight >= 0 && qualityWeight <= 100)) {
+                res.statusCode = 400;
+                res.end(JSON.stringify({ error: 'Invalid qualityWeight: must be a number between 0 and 100' }));
+                return;
+            }
+
+            console.log(`Score request: bbox=${JSON.stringify(bounds)}, gridSize=${gridSize}, mode=${mode}, qualityWeight=${qualityWeight}`);
+            const result = await scoreBoundingBox(bounds, gridSize, weights, { mode, qualityWeight },
+                { trigger: `${req.method} ${req.url}`, callAllowance: requestCallAllowance() });
+
+            res.statusCode = 200;
+            res.end(JSON.stringify({ bbox: bounds, gridSize, ...result }));
+        } catch (error) {
+            console.error('Score API error:', error.message);
+            res.statusCode = error.message === 'Invalid JSON body' ? 400 : 500;
+            res.end(JSON.stringify({ error: error.message }));
+        }
+        return;
+    }
+
     // Serve static files from the web directory
     let filePath = pathname === '/' ? 'index.html' : pathname;
     filePath = path.join(__dirname, 'web', filePath);
@@ -111,7 +567,31 @@ const server = http.createServer(async (req, res) => {
 
 server.listen(PORT, async () => {
     console.log(`Server running at http://localhost:${PORT}/`);
-    await connect();
-});
+    try {
+        await connect();
+    } catch (error) {
+        // Nothing can be served without storage
+        console.error('❌ Stopping: storage unavailable');
+        process.exitCode = 1;
+        server.close();
+        return;
+    }
 
+    // Pick up prewarm jobs that were running when the server last stopped
+    const resumed = await prewarmer.resumeInterrupted();
+    if (resumed.length > 0) {
+        console.log(`🔥 Resumed ${resumed.length} interrupted prewarm job(s)`);
+    }
+});
 
+// Write pending changes (embedded store) and close the connection before exiting
+['SIGINT', 'SIGTERM'].forEach(signal => process.once(signal, async () => {
+    console.log(`\n${signal} received, shutting down`);
+    server.close();
+    try {
+        await disconnect();
+    } catch (error) {
+        console.error('❌ Error closing storage:', error.message);
+    }
+    process.exit(0);
+}));
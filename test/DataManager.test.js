@@ -0,0 +1,291 @@
+const { describe, test, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const geohash = require('ngeohash');
+
+// A small dataset around one gridPrecision cell, served by the file provider
+const CENTER = { lat: 45.5017, lng: -73.5673 };
+const CELL = geohash.encode(CENTER.lat, CENTER.lng, 7);
+// Four cafes in the first four children of CELL, two more in two grandchildren of its fifth child,
+// away from its edges so only the fifth child's search finds both
+const CELL_CAFES = [`${CELL}0`, `${CELL}1`, `${CELL}2`, `${CELL}3`, `${CELL}43`, `${CELL}4q`];
+// One cafe in each neighbor of CELL
+const NEIGHBOR_CAFES = geohash.neighbors(CELL);
+
+const datasetDir = fs.mkdtempSync(path.join(os.tmpdir(), 'places-dataset-'));
+const datasetPath = path.join(datasetDir, 'places.ndjson');
+fs.writeFileSync(datasetPath, [...CELL_CAFES, ...NEIGHBOR_CAFES].map(hash => {
+    const { latitude, longitude } = geohash.decode(hash);
+    return JSON.stringify({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [longitude, latitude] },
+        properties: { id: `cafe-${hash}`, name: `Cafe ${hash}`, types: ['cafe'] }
+    });
+}).join('\n'));
+
+process.env.STORAGE_BACKEND = 'embedded';
+process.env.PLACES_PROVIDER = 'file';
+process.env.PLACES_DATASET_PATH = datasetPath;
+
+const DataManager = require('../db/DatabaseManager');
+const EmbeddedStorage = require('../db/storage/EmbeddedStorage');
+const { CallAllowance, CallLimitError } = require('../db/resilience');
+const { haversineDistance } = require('../db/geoUtils');
+
+/**
+ * Data manager on a fresh in-memory store
+ * @param {number} maxResultCount - Result cap of the file provider
+ * @returns {DataManager}
+ */
+function createDataManager(maxResultCount = 20) {
+    const dataManager = new DataManager({ storage: new EmbeddedStorage() });
+    dataManager.placesProvider.maxResultCount = maxResultCount;
+    return dataManager;
+}
+
+/**
+ * Sorted place IDs
+ * @param {Array<Object>} places - Places
+ * @returns {Array<string>}
+ */
+function placeIds(places) {
+    return places.map(place => place.place_id).sort();
+}
+
+const CELL_CAFE_IDS = CELL_CAFES.map(hash => `cafe-${hash}`).sort();
+
+describe('DataManager', () => {
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    after(() => {
+        fs.rmSync(datasetDir, { recursive: true, force: true });
+    });
+
+    describe('result cap subdivision', () => {
+        test('answers a cell below the cap with a single call', async () => {
+            const result = await createDataManager().fetchGrid(CELL, 'cafe');
+
+            assert.equal(result.calls, 1);
+            assert.equal(result.precision, 7);
+            assert.equal(result.complete, true);
+            assert.deepEqual(placeIds(result.places), CELL_CAFE_IDS);
+        });
+
+        test('splits a capped cell into its children, and capped children again', async () => {
+            const result = await createDataManager(2).fetchGrid(CELL, 'cafe');
+
+            // The cell, its 32 children and the 32 children of the one child holding two cafes
+            assert.equal(result.calls, 1 + 32 + 32);
+            assert.equal(result.precision, 9);
+            assert.equal(result.complete, true);
+            assert.equal(result.interrupted, false);
+            assert.deepEqual(placeIds(result.places), CELL_CAFE_IDS);
+            assert.deepEqual(result.grids.map(grid => grid.gridId), [CELL]);
+        });
+
+        test('stops at maxSubdivisionPrecision and reports the answer as incomplete', async () => {
+            const dataManager = createDataManager(2);
+            dataManager.maxSubdivisionPrecision = 8;
+            const result = await dataManager.fetchGrid(CELL, 'cafe');
+
+            assert.equal(result.calls, 1 + 32);
+            assert.equal(result.precision, 8);
+            assert.equal(result.complete, false);
+            assert.deepEqual(placeIds(result.places), CELL_CAFE_IDS);
+        });
+
+        test('takes every call from the allowance and keeps the answered children when it runs out', async () => {
+            const dataManager = createDataManager(2);
+            const callAllowance = new CallAllowance(5);
+            const result = await dataManager.fetchAndStoreGrid(CELL, 'cafe', { callAllowance });
+
+            assert.equal(result.calls, 5);
+            assert.equal(callAllowance.used, 5);
+            assert.equal(result.interrupted, true);
+            assert.equal(result.complete, false);
+            assert.ok(result.error instanceof CallLimitError);
+            assert.equal(result.places.length, 4);
+
+            const children = dataManager.geohashManager.getChildren(CELL);
+            assert.deepEqual(await dataManager.cacheManager.getCachedGridIds(children, 'cafe'), children.slice(0, 4));
+            assert.deepEqual(await dataManager.cacheManager.getCachedGridIds([CELL], 'cafe'), []);
+
+            // The next fetch skips the cached children
+            const resumed = await dataManager.fetchAndStoreGrid(CELL, 'cafe', { callAllowance: new CallAllowance(100) });
+            assert.equal(resumed.calls, 1 + 28 + 32);
+            assert.equal(resumed.complete, true);
+            assert.deepEqual(placeIds(resumed.places), CELL_CAFE_IDS);
+            assert.deepEqual(await dataManager.cacheManager.getCachedGridIds([CELL], 'cafe'), [CELL]);
+        });
+
+        test('prunes the places the answered children no longer return when the subdivision is interrupted', async () => {
+            const dataManager = createDataManager(2);
+            const { places } = dataManager.storage;
+            // Cafes cached earlier that closed since: one in an answered child, one in a child the fetch does not reach
+            const closed = [`${CELL}0p`, `${CELL}7p`].map(hash => {
+                const { latitude, longitude } = geohash.decode(hash);
+                return {
+                    place_id: `closed-${hash}`,
+                    location: { type: 'Point', coordinates: [longitude, latitude] },
+                    geohash: CELL,
+                    commodityTypes: ['cafe']
+                };
+            });
+            await places.upsertMany(closed);
+
+            const result = await dataManager.fetchAndStoreGrid(CELL, 'cafe', { callAllowance: new CallAllowance(5) });
+            assert.equal(result.interrupted, true);
+
+            const stored = placeIds(await places.findInGrids([CELL], 'cafe'));
+            assert.ok(!stored.includes(`closed-${CELL}0p`));
+            assert.ok(stored.includes(`closed-${CELL}7p`));
+            assert.ok(CELL_CAFE_IDS.slice(0, 4).every(id => stored.includes(id)));
+        });
+    });
+
+    describe('fetchData', () => {
+        test('queries the provider only for gridPrecision cells, nearest first, up to the call allowance', async () => {
+            const dataManager = createDataManager();
+            const search = mock.method(dataManager.placesProvider, 'searchNearby');
+            const cellRadius = dataManager.geohashManager.getCellRadius(CELL);
+
+            const result = await dataManager.fetchData(CENTER.lat, CENTER.lng, 1000, 'cafe', { callAllowance: new CallAllowance(10) });
+
+            assert.equal(search.mock.callCount(), 10);
+            search.mock.calls.forEach(call => assert.ok(call.arguments[2] <= cellRadius * 1.01));
+            assert.equal(result.callLimitReached, true);
+            assert.equal(result.status, 'partial');
+            assert.equal(result.newGrids.length, 10);
+            assert.ok(result.newGrids.every(gridId => gridId.length === 7));
+            assert.equal(result.newGrids[0], CELL);
+            assert.ok(CELL_CAFE_IDS.every(id => result.places.some(place => place.place_id === id)));
+
+            // The skipped cells are further away than the fetched ones
+            const distance = gridId => haversineDistance(CENTER, dataManager.geohashManager.getCoordinates(gridId));
+            const furthestFetched = Math.max(...result.newGrids.map(distance));
+            result.skippedGrids.filter(gridId => gridId.length === 7)
+                .forEach(gridId => assert.ok(distance(gridId) >= furthestFetched));
+
+            // The next request goes on with the cells left over
+            const next = await dataManager.fetchData(CENTER.lat, CENTER.lng, 1000, 'cafe', { callAllowance: new CallAllowance(10) });
+            assert.equal(search.mock.callCount(), 20);
+            assert.ok(next.newGrids.every(gridId => !result.newGrids.includes(gridId)));
+            assert.ok(next.cachedGrids.includes(CELL));
+        });
+
+        test('uses maxCallsPerRequest without an allowance', async () => {
+            const dataManager = createDataManager();
+            dataManager.maxCallsPerRequest = 3;
+            const search = mock.method(dataManager.placesProvider, 'searchNearby');
+
+            const result = await dataManager.fetchData(CENTER.lat, CENTER.lng, 1000, 'cafe');
+            assert.equal(search.mock.callCount(), 3);
+            assert.equal(result.callLimitReached, true);
+        });
+
+        test('answers cached cells without calling the provider', async () => {
+            const dataManager = createDataManager();
+            const first = await dataManager.fetchData(CENTER.lat, CENTER.lng, 150, 'cafe');
+            assert.equal(first.status, 'complete');
+
+            const search = mock.method(dataManager.placesProvider, 'searchNearby');
+            const second = await dataManager.fetchData(CENTER.lat, CENTER.lng, 150, 'cafe');
+            assert.equal(search.mock.callCount(), 0);
+            assert.equal(second.status, 'complete');
+            assert.deepEqual(second.newGrids, []);
+            assert.deepEqual(placeIds(second.places), placeIds(first.places));
+            assert.ok(placeIds(second.places).length >= CELL_CAFE_IDS.length);
+        });
+
+        test('serves grids expired within the stale window and refreshes them in the background', async () => {
+            const dataManager = createDataManager();
+            const { cacheManager } = dataManager;
+            cacheManager.staleWindow = 60 * 60 * 1000;
+            const first = await dataManager.fetchData(CENTER.lat, CENTER.lng, 50, 'cafe');
+            assert.ok(first.newGrids.includes(CELL));
+
+            /**
+             * Make every grid of the first request expire some time ago
+             * @param {number} ago - Milliseconds since expiry
+             */
+            const expire = async ago => {
+                const expiresAt = new Date(Date.now() - ago);
+                await dataManager.storage.grids.upsertMany(first.newGrids.map(gridId => ({ geohash: gridId, commodityType: 'cafe', expiresAt })));
+                cacheManager.clearMemory();
+            };
+
+            await expire(30 * 60 * 1000);
+            const search = mock.method(dataManager.placesProvider, 'searchNearby');
+            const refresh = mock.method(dataManager, 'refreshInBackground', () => {});
+            const stale = await dataManager.fetchData(CENTER.lat, CENTER.lng, 50, 'cafe');
+            assert.equal(search.mock.callCount(), 0);
+            assert.equal(stale.status, 'complete');
+            assert.deepEqual(stale.staleGrids.sort(), [...first.newGrids].sort());
+            assert.deepEqual(placeIds(stale.places), placeIds(first.places));
+            assert.equal(refresh.mock.callCount(), 1);
+            assert.deepEqual(refresh.mock.calls[0].arguments[0].sort(), [...first.newGrids].sort());
+
+            // Past the stale window the grids are fetched again
+            await expire(2 * 60 * 60 * 1000);
+            const expired = await dataManager.fetchData(CENTER.lat, CENTER.lng, 50, 'cafe');
+            assert.equal(search.mock.callCount(), first.newGrids.length);
+            assert.deepEqual(expired.staleGrids, []);
+            assert.deepEqual(expired.newGrids.sort(), [...first.newGrids].sort());
+        });
+
+        test('caches each type for its own TTL', async () => {
+            const { cacheManager } = createDataManager();
+            cacheManager.ttlByType = { pharmacy: 60 * 1000 };
+            await cacheManager.storeGrids([{ gridId: CELL, places: [] }], 'pharmacy');
+            await cacheManager.storeGrids([{ gridId: CELL, places: [] }], 'cafe');
+
+            const [pharmacy] = await cacheManager.grids.find({ geohashes: [CELL], commodityType: 'pharmacy' });
+            const [cafe] = await cacheManager.grids.find({ geohashes: [CELL], commodityType: 'cafe' });
+            assert.ok(pharmacy.expiresAt - Date.now() <= 60 * 1000);
+            assert.ok(cafe.expiresAt - Date.now() > 60 * 1000);
+            assert.equal(cacheManager.getTTL(), cacheManager.cacheTTL);
+        });
+
+        test('shares a cell fetch with a request arriving before it is stored', async () => {
+            const dataManager = createDataManager();
+            const search = mock.method(dataManager.placesProvider, 'searchNearby');
+
+            // Hold the first request's store until the second request has looked the cell up
+            const storeGrids = dataManager.cacheManager.storeGrids.bind(dataManager.cacheManager);
+            let storeStarted;
+            const storing = new Promise(resolve => { storeStarted = resolve; });
+            let finishStore;
+            const stored = new Promise(resolve => { finishStore = resolve; });
+            mock.method(dataManager.cacheManager, 'storeGrids', async (...args) => {
+                storeStarted();
+                await stored;
+                return storeGrids(...args);
+            });
+
+            const first = dataManager.fetchData(CENTER.lat, CENTER.lng, 50, 'cafe');
+            await storing;
+            const calls = search.mock.callCount();
+            assert.ok(calls > 0);
+
+            const second = dataManager.fetchData(CENTER.lat, CENTER.lng, 50, 'cafe');
+            // Let the second request reach the shared fetch before the first one stores
+            await new Promise(resolve => setTimeout(resolve, 20));
+            finishStore();
+
+            const [firstResult, secondResult] = await Promise.all([first, second]);
+            assert.equal(search.mock.callCount(), calls);
+            assert.deepEqual(placeIds(secondResult.places), placeIds(firstResult.places));
+            assert.equal(dataManager.inflight.size, 0);
+        });
+    });
+});
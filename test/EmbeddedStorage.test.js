@@ -0,0 +1,184 @@
+const { describe, test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const geohash = require('ngeohash');
+const EmbeddedStorage = require('../db/storage/EmbeddedStorage');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Place in database format
+ * @param {string} id - place_id
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {Array<string>} commodityTypes - Types it is stored under
+ * @returns {Object}
+ */
+function place(id, lat, lng, commodityTypes) {
+    return {
+        place_id: id,
+        displayName: id,
+        location: { type: 'Point', coordinates: [lng, lat] },
+        geohash: geohash.encode(lat, lng, 7),
+        commodityTypes
+    };
+}
+
+const CAFE = place('cafe', 45.5017, -73.5673, ['cafe']);
+const PHARMACY = place('pharmacy', 45.5030, -73.5673, ['pharmacy']);
+const FAR_CAFE = place('far-cafe', 45.5200, -73.5900, ['cafe']);
+
+describe('EmbeddedStorage', () => {
+    test('places: upsert merges commodity types instead of replacing them', async () => {
+        const { places } = new EmbeddedStorage();
+        assert.deepEqual(await places.upsertMany([CAFE, PHARMACY]), { inserted: 2, updated: 0 });
+        assert.deepEqual(await places.upsertMany([{ ...CAFE, commodityTypes: ['restaurant'], rating: 4.5 }]), { inserted: 0, updated: 1 });
+
+        const [stored] = await places.findInGrids([CAFE.geohash], 'restaurant');
+        assert.deepEqual(stored.commodityTypes, ['cafe', 'restaurant']);
+        assert.equal(stored.rating, 4.5);
+        assert.deepEqual(await places.getStats(), { count: 2, byCommodityType: { cafe: 1, restaurant: 1, pharmacy: 1 } });
+    });
+
+    test('places: finds by cell prefix, distance and polygon', async () => {
+        const { places } = new EmbeddedStorage();
+        await places.upsertMany([CAFE, PHARMACY, FAR_CAFE]);
+
+        const ids = list => list.map(p => p.place_id);
+        assert.deepEqual(ids(await places.findInGrids([CAFE.geohash.slice(0, 5)], 'cafe')).sort(), ['cafe', 'far-cafe']);
+        assert.deepEqual(ids(await places.findNear(45.5017, -73.5673, 500)), ['cafe', 'pharmacy']);
+        assert.deepEqual(ids(await places.findNear(45.5017, -73.5673, 5000, { commodityType: 'cafe' })), ['cafe', 'far-cafe']);
+        assert.equal(await places.countInGrid(CAFE.geohash, 'cafe'), 1);
+
+        const polygon = {
+            type: 'Polygon',
+            coordinates: [[[-73.58, 45.49], [-73.55, 45.49], [-73.55, 45.51], [-73.58, 45.51], [-73.58, 45.49]]]
+        };
+        assert.deepEqual(ids(await places.findWithin(polygon)).sort(), ['cafe', 'pharmacy']);
+    });
+
+    test('places: removeType keeps listed places and deletes places left without a type', async () => {
+        const { places } = new EmbeddedStorage();
+        const second = place('second-cafe', 45.50175, -73.56735, ['cafe', 'restaurant']);
+        await places.upsertMany([CAFE, second, PHARMACY]);
+        assert.equal(second.geohash, CAFE.geohash);
+
+        assert.equal(await places.removeType('cafe', [{ gridId: CAFE.geohash, keepIds: [] }]), 2);
+        assert.deepEqual((await places.findInGrids([CAFE.geohash])).map(p => p.place_id), ['second-cafe']);
+        assert.equal(await places.removeType('restaurant', [{ gridId: CAFE.geohash, keepIds: ['second-cafe'] }]), 0);
+    });
+
+    test('places: purge by type and fetch date', async () => {
+        const { places } = new EmbeddedStorage();
+        await places.upsertMany([{ ...CAFE, commodityTypes: ['cafe', 'restaurant'] }, FAR_CAFE, PHARMACY]);
+
+        assert.deepEqual(await places.purge({ commodityType: 'cafe' }), { deleted: 1, updated: 1 });
+        assert.deepEqual(await places.purge({ fetchedBefore: new Date(Date.now() - DAY) }), { deleted: 0, updated: 0 });
+        assert.deepEqual(await places.purge({}), { deleted: 2, updated: 0 });
+    });
+
+    test('grids: find filters by status and expiry, markExpired only touches cached grids', async () => {
+        const { grids } = new EmbeddedStorage();
+        const now = new Date();
+        await grids.upsertMany([
+            { geohash: 'f25ej03', commodityType: 'cafe', fetchStatus: 'cached', expiresAt: new Date(now.getTime() + DAY), placeCount: 2 },
+            { geohash: 'f25ej04', commodityType: 'cafe', fetchStatus: 'cached', expiresAt: new Date(now.getTime() - DAY) },
+            { geohash: 'f25ej05', commodityType: 'cafe', fetchStatus: 'pending' },
+            { geohash: 'f25ej03', commodityType: 'pharmacy', fetchStatus: 'cached', expiresAt: new Date(now.getTime() + DAY) }
+        ]);
+        const geohashes = ['f25ej03', 'f25ej04', 'f25ej05', 'f25ej06'];
+        const found = async filters => (await grids.find({ geohashes, commodityType: 'cafe', ...filters })).map(g => g.geohash);
+
+        assert.deepEqual(await found({}), ['f25ej03', 'f25ej04', 'f25ej05']);
+        assert.deepEqual(await found({ fetchStatuses: ['cached'], expiresAfter: now }), ['f25ej03']);
+        assert.deepEqual(await found({ withPlaceCount: true }), ['f25ej03']);
+
+        await grids.markExpired(['f25ej04', 'f25ej05'], 'cafe');
+        const [expired, pending] = await grids.find({ geohashes: ['f25ej04', 'f25ej05'], commodityType: 'cafe' });
+        assert.equal(expired.fetchStatus, 'expired');
+        assert.equal(pending.fetchStatus, 'pending');
+
+        assert.equal(await grids.purge({ expiredBefore: now }), 1);
+        assert.equal(await grids.purge({ prefixes: ['f25ej'], commodityType: 'pharmacy' }), 1);
+    });
+
+    test('apiCalls: spend totals of the day and month', async () => {
+        const { apiCalls } = new EmbeddedStorage();
+        const now = new Date();
+        const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+        const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+        await apiCalls.create({ commodityType: 'cafe', estimatedCost: 0.5 });
+        await apiCalls.create({ commodityType: 'cafe', estimatedCost: 0.25, calledAt: new Date(dayStart - 1) });
+        await apiCalls.create({ commodityType: 'cafe', estimatedCost: 10, calledAt: new Date(monthStart - 1) });
+
+        const totals = await apiCalls.getSpendTotals(monthStart, dayStart);
+        assert.equal(totals.daily, 0.5);
+        assert.equal(totals.monthly, dayStart > monthStart ? 0.75 : 0.5);
+    });
+
+    test('prewarmJobs: create, update and list', async () => {
+        const { prewarmJobs } = new EmbeddedStorage();
+        const area = { type: 'Polygon', coordinates: [] };
+        const first = await prewarmJobs.create({ area, commodityTypes: ['cafe'], budget: 1 });
+        await new Promise(resolve => setTimeout(resolve, 2));
+        const second = await prewarmJobs.create({ area, commodityTypes: ['pharmacy'], budget: 2 });
+
+        assert.equal(first.status, 'running');
+        await prewarmJobs.update(first._id, { status: 'paused', calls: 3, error: undefined });
+        const paused = await prewarmJobs.findById(first._id);
+        assert.equal(paused.status, 'paused');
+        assert.equal(paused.calls, 3);
+        assert.equal(paused.error, null);
+
+        // Returned documents are copies
+        paused.progress.processed = 99;
+        assert.equal((await prewarmJobs.findById(first._id)).progress.processed, 0);
+
+        assert.deepEqual((await prewarmJobs.findByStatus('running')).map(job => job._id), [second._id]);
+        const recent = await prewarmJobs.listRecent(10);
+        assert.deepEqual(recent.map(job => job._id), [second._id, first._id]);
+        assert.equal(recent[0].area, undefined);
+        assert.equal(await prewarmJobs.findById('missing'), null);
+    });
+
+    for (const extension of ['.json', '.ndjson']) {
+        test(`persists to a ${extension} file and restores dates`, async () => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'embedded-store-'));
+            const file = path.join(dir, `store${extension}`);
+            mock.method(console, 'log', () => {});
+            try {
+                const storage = new EmbeddedStorage({ path: file, flushIntervalMs: 60 * 1000 });
+                await storage.connect();
+                await storage.places.upsertMany([CAFE]);
+                await storage.grids.upsertMany([{ geohash: CAFE.geohash, commodityType: 'cafe', fetchStatus: 'cached', expiresAt: new Date(Date.now() + DAY) }]);
+                await storage.apiCalls.create({ commodityType: 'cafe', estimatedCost: 0.1 });
+                await storage.disconnect();
+                assert.ok(fs.existsSync(file));
+                assert.ok(!fs.existsSync(`${file}.tmp`));
+
+                const reopened = new EmbeddedStorage({ path: file });
+                await reopened.connect();
+                const [stored] = await reopened.places.findInGrids([CAFE.geohash], 'cafe');
+                assert.equal(stored.place_id, 'cafe');
+                assert.ok(stored.fetchedAt instanceof Date);
+                const [grid] = await reopened.grids.find({ geohashes: [CAFE.geohash], commodityType: 'cafe', expiresAfter: new Date() });
+                assert.ok(grid.expiresAt instanceof Date);
+                assert.equal(reopened.apiCalls.apiCalls.length, 1);
+                await reopened.disconnect();
+            } finally {
+                mock.restoreAll();
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+    }
+
+    test('starts empty when the store file does not exist yet', async () => {
+        const storage = new EmbeddedStorage({ path: path.join(os.tmpdir(), 'embedded-store-missing', 'store.json') });
+        mock.method(console, 'log', () => {});
+        await storage.connect();
+        mock.restoreAll();
+        assert.equal(storage.places.places.size, 0);
+    });
+});
@@ -0,0 +1,96 @@
+const { describe, test, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FilePlacesProvider = require('../db/providers/FilePlacesProvider');
+
+const CENTER = { lat: 45.5017, lng: -73.5673 };
+
+/**
+ * Point feature in dataset format
+ * @param {string} id - Place ID
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {Array<string>} types - Place types
+ * @returns {Object}
+ */
+function feature(id, lat, lng, types) {
+    return {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [lng, lat] },
+        properties: { id, name: id, types, rating: 4.2 }
+    };
+}
+
+// About 110 m, 330 m and 1.1 km north of CENTER
+const FEATURES = [
+    feature('far-cafe', CENTER.lat + 0.01, CENTER.lng, ['cafe']),
+    feature('near-cafe', CENTER.lat + 0.001, CENTER.lng, ['cafe', 'bakery']),
+    feature('mid-cafe', CENTER.lat + 0.003, CENTER.lng, ['cafe']),
+    feature('pharmacy', CENTER.lat + 0.001, CENTER.lng, ['pharmacy']),
+    { type: 'Feature', geometry: null, properties: { id: 'no-location', types: ['cafe'] } }
+];
+
+const datasetDir = fs.mkdtempSync(path.join(os.tmpdir(), 'places-dataset-'));
+
+/**
+ * Write a dataset file and create a provider reading it
+ * @param {string} name - File name (its extension picks the format)
+ * @param {string} content - File content
+ * @param {Object} options - Optional provider options
+ * @returns {FilePlacesProvider}
+ */
+function createProvider(name, content, options = {}) {
+    const datasetPath = path.join(datasetDir, name);
+    fs.writeFileSync(datasetPath, content);
+    return new FilePlacesProvider({ path: datasetPath, ...options });
+}
+
+describe('FilePlacesProvider', () => {
+    after(() => {
+        fs.rmSync(datasetDir, { recursive: true, force: true });
+    });
+
+    test('requires a dataset path', () => {
+        assert.throws(() => new FilePlacesProvider({}), /requires a dataset path/);
+    });
+
+    for (const [name, content] of [
+        ['places.geojson', JSON.stringify({ type: 'FeatureCollection', features: FEATURES })],
+        ['places.ndjson', FEATURES.map(record => JSON.stringify(record)).join('\n')]
+    ]) {
+        test(`searches a ${path.extname(name)} dataset by type and radius, nearest first`, async () => {
+            const provider = createProvider(name, content);
+            mock.method(console, 'log', () => {});
+            const places = await provider.searchNearby(CENTER.lat, CENTER.lng, 500, 'cafe');
+            mock.restoreAll();
+
+            assert.deepEqual(places.map(place => place.place_id), ['near-cafe', 'mid-cafe']);
+            assert.deepEqual(places[0].commodityTypes, ['cafe']);
+            assert.deepEqual(places[0].location.coordinates, [CENTER.lng, CENTER.lat + 0.001]);
+            assert.equal(places[0].rating, 4.2);
+        });
+    }
+
+    test('returns at most maxResultCount places', async () => {
+        const provider = createProvider('capped.ndjson', FEATURES.map(record => JSON.stringify(record)).join('\n'), { maxResultCount: 1 });
+        mock.method(console, 'log', () => {});
+        const places = await provider.searchNearby(CENTER.lat, CENTER.lng, 5000, 'cafe');
+        mock.restoreAll();
+
+        assert.deepEqual(places.map(place => place.place_id), ['near-cafe']);
+    });
+
+    test('reads the dataset again after a failed load', async () => {
+        const datasetPath = path.join(datasetDir, 'later.ndjson');
+        const provider = new FilePlacesProvider({ path: datasetPath });
+        await assert.rejects(provider.searchNearby(CENTER.lat, CENTER.lng, 500, 'cafe'), { code: 'ENOENT' });
+
+        fs.writeFileSync(datasetPath, JSON.stringify(FEATURES[1]));
+        mock.method(console, 'log', () => {});
+        const places = await provider.searchNearby(CENTER.lat, CENTER.lng, 500, 'bakery');
+        mock.restoreAll();
+        assert.deepEqual(places.map(place => place.place_id), ['near-cafe']);
+    });
+});
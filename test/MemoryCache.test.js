@@ -0,0 +1,88 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const MemoryCache = require('../db/MemoryCache');
+
+const LATER = Date.now() + 60 * 60 * 1000;
+
+describe('MemoryCache', () => {
+    test('evicts the least recently used entry past maxEntries', () => {
+        const cache = new MemoryCache({ maxEntries: 2 });
+        cache.set('a', 1, LATER);
+        cache.set('b', 2, LATER);
+        assert.equal(cache.get('a'), 1); // a is now more recent than b
+        cache.set('c', 3, LATER);
+
+        assert.equal(cache.get('b'), undefined);
+        assert.equal(cache.get('a'), 1);
+        assert.equal(cache.get('c'), 3);
+        assert.equal(cache.evictions, 1);
+    });
+
+    test('peek does not change recency', () => {
+        const cache = new MemoryCache({ maxEntries: 2 });
+        cache.set('a', 1, LATER);
+        cache.set('b', 2, LATER);
+        assert.equal(cache.peek('a').value, 1);
+        cache.set('c', 3, LATER);
+
+        assert.equal(cache.peek('a'), null);
+        assert.equal(cache.hits, 0);
+        assert.equal(cache.misses, 0);
+    });
+
+    test('evicts the oldest entries past maxBytes and keeps the byte count', () => {
+        const value = 'x'.repeat(100);
+        const cache = new MemoryCache({ maxEntries: 100, maxBytes: 350 });
+        ['a', 'b', 'c', 'd'].forEach(key => cache.set(key, value, LATER));
+
+        assert.equal(cache.entries.size, 3);
+        assert.equal(cache.get('a'), undefined);
+        assert.ok(cache.bytes <= 350);
+        assert.equal(cache.bytes, [...cache.entries.values()].reduce((sum, entry) => sum + entry.bytes, 0));
+    });
+
+    test('does not store a value larger than maxBytes', () => {
+        const cache = new MemoryCache({ maxEntries: 10, maxBytes: 50 });
+        cache.set('small', 1, LATER);
+
+        assert.equal(cache.set('big', 'x'.repeat(100), LATER), false);
+        assert.equal(cache.get('big'), undefined);
+        assert.equal(cache.get('small'), 1);
+    });
+
+    test('drops entries read after they expire', () => {
+        const cache = new MemoryCache();
+        cache.set('old', 1, Date.now() - 1);
+        cache.set('fresh', 2, new Date(LATER));
+
+        assert.equal(cache.get('old'), undefined);
+        assert.equal(cache.entries.has('old'), false);
+        assert.equal(cache.get('fresh'), 2);
+        assert.equal(cache.getStats().hitRate, 0.5);
+    });
+
+    test('replacing a key keeps one entry and the right byte count', () => {
+        const cache = new MemoryCache();
+        cache.set('a', 'x'.repeat(10), LATER);
+        cache.set('a', 'y', LATER);
+
+        assert.equal(cache.entries.size, 1);
+        assert.equal(cache.bytes, cache.entries.get('a').bytes);
+    });
+
+    test('deleteWhere removes the matching keys', () => {
+        const cache = new MemoryCache();
+        ['grid:cafe:f25ej0', 'grid:cafe:f25ej1', 'places:cafe:f25ek0'].forEach(key => cache.set(key, 1, LATER));
+
+        assert.equal(cache.deleteWhere(key => key.includes(':f25ej')), 2);
+        assert.deepEqual([...cache.entries.keys()], ['places:cafe:f25ek0']);
+    });
+
+    test('stores nothing when disabled', () => {
+        const cache = new MemoryCache({ maxEntries: 0 });
+
+        assert.equal(cache.isEnabled(), false);
+        assert.equal(cache.set('a', 1, LATER), false);
+        assert.equal(cache.get('a'), undefined);
+    });
+});
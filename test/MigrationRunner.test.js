@@ -0,0 +1,123 @@
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const models = require('../db/models');
+const MigrationRunner = require('../db/MigrationRunner');
+
+let dir;
+let applied; // Records in the (mocked) migrations collection
+let runs; // Names of the migrations whose up() ran, in order
+
+/**
+ * Write a migration file to the temporary directory
+ * @param {string} file - File name
+ * @param {string} body - Body of up(); it can push to global.migrationRuns
+ */
+function writeMigration(file, body = 'return { ok: true };') {
+    fs.writeFileSync(path.join(dir, file), [
+        `module.exports = {`,
+        `    description: '${file}',`,
+        `    async up(context) {`,
+        `        global.migrationRuns.push({ name: '${path.basename(file, '.js')}', context });`,
+        `        ${body}`,
+        `    }`,
+        `};`,
+        ''
+    ].join('\n'));
+}
+
+describe('MigrationRunner', () => {
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+        applied = [];
+        runs = [];
+        global.migrationRuns = runs;
+        mock.method(models.Migration, 'find', () => ({ lean: async () => applied.map(record => ({ ...record })) }));
+        mock.method(models.Migration, 'create', async record => {
+            applied.push({ ...record, appliedAt: new Date() });
+        });
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        delete global.migrationRuns;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('loads migrations in numeric order and ignores other files', () => {
+        writeMigration('10-later.js');
+        writeMigration('2-earlier.js');
+        writeMigration('002-also-second.js');
+        fs.writeFileSync(path.join(dir, 'README.md'), '');
+        fs.writeFileSync(path.join(dir, 'helpers.js'), '');
+
+        const names = new MigrationRunner({ dir }).loadMigrations().map(migration => migration.name);
+        assert.deepEqual(names, ['002-also-second', '2-earlier', '10-later']);
+    });
+
+    test('rejects a migration without up()', () => {
+        fs.writeFileSync(path.join(dir, '001-broken.js'), 'module.exports = { description: "broken" };\n');
+        assert.throws(() => new MigrationRunner({ dir }).loadMigrations(), /does not export an up\(\) function/);
+    });
+
+    test('applies the pending migrations in order and records them', async () => {
+        writeMigration('001-first.js');
+        writeMigration('002-second.js', 'return { updated: 3 };');
+        applied.push({ name: '001-first' });
+
+        const done = await new MigrationRunner({ dir }).migrate();
+        assert.deepEqual(done.map(migration => migration.name), ['002-second']);
+        assert.deepEqual(done[0].result, { updated: 3 });
+        assert.deepEqual(runs.map(run => run.name), ['002-second']);
+        assert.equal(runs[0].context.models, models);
+        assert.ok(runs[0].context.config.gridPrecision);
+        assert.deepEqual(applied.map(record => record.name), ['001-first', '002-second']);
+
+        // Nothing is left to do
+        assert.deepEqual(await new MigrationRunner({ dir }).migrate(), []);
+        assert.equal(runs.length, 1);
+    });
+
+    test('stops at a failed migration without recording it', async () => {
+        writeMigration('001-first.js');
+        writeMigration('002-fails.js', 'throw new Error("boom");');
+        writeMigration('003-third.js');
+
+        await assert.rejects(new MigrationRunner({ dir }).migrate(), /boom/);
+        assert.deepEqual(runs.map(run => run.name), ['001-first', '002-fails']);
+        assert.deepEqual(applied.map(record => record.name), ['001-first']);
+    });
+
+    test('a dry run lists the pending migrations without running them', async () => {
+        writeMigration('001-first.js');
+        writeMigration('002-second.js');
+        applied.push({ name: '001-first' });
+
+        const pending = await new MigrationRunner({ dir }).migrate({ dryRun: true });
+        assert.deepEqual(pending, [{ name: '002-second', description: '002-second.js' }]);
+        assert.equal(runs.length, 0);
+        assert.equal(applied.length, 1);
+    });
+
+    test('getStatus lists every migration with its applied date', async () => {
+        writeMigration('001-first.js');
+        writeMigration('002-second.js');
+        const appliedAt = new Date('2024-01-01T00:00:00Z');
+        applied.push({ name: '001-first', appliedAt });
+
+        const status = await new MigrationRunner({ dir }).getStatus();
+        assert.deepEqual(status.map(({ name, appliedAt: at }) => [name, at]), [['001-first', appliedAt], ['002-second', null]]);
+    });
+
+    test('the shipped migrations load in order', () => {
+        const migrations = new MigrationRunner().loadMigrations();
+        assert.ok(migrations.length > 0);
+        const numbers = migrations.map(migration => parseInt(migration.name, 10));
+        assert.deepEqual(numbers, [...numbers].sort((a, b) => a - b));
+        assert.equal(new Set(numbers).size, numbers.length);
+    });
+});
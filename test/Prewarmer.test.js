@@ -0,0 +1,135 @@
+const { describe, test, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const geohash = require('ngeohash');
+
+// Three cafes in the first three children of one gridPrecision cell, served by the file provider
+const CELL = geohash.encode(45.5017, -73.5673, 7);
+const CAFES = [`${CELL}0`, `${CELL}1`, `${CELL}2`];
+
+const datasetDir = fs.mkdtempSync(path.join(os.tmpdir(), 'places-dataset-'));
+const datasetPath = path.join(datasetDir, 'places.ndjson');
+fs.writeFileSync(datasetPath, CAFES.map(hash => {
+    const { latitude, longitude } = geohash.decode(hash);
+    return JSON.stringify({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [longitude, latitude] },
+        properties: { id: `cafe-${hash}`, name: `Cafe ${hash}`, types: ['cafe'] }
+    });
+}).join('\n'));
+
+process.env.STORAGE_BACKEND = 'embedded';
+process.env.PLACES_PROVIDER = 'file';
+process.env.PLACES_DATASET_PATH = datasetPath;
+
+const DataManager = require('../db/DatabaseManager');
+const Prewarmer = require('../db/Prewarmer');
+const EmbeddedStorage = require('../db/storage/EmbeddedStorage');
+
+/**
+ * Polygon just inside a cell, covered by the cell alone
+ * @param {string} cell - Geohash
+ * @returns {Object} GeoJSON Polygon
+ */
+function insideCell(cell) {
+    const [minLat, minLng, maxLat, maxLng] = geohash.decode_bbox(cell);
+    const inset = (maxLat - minLat) / 100;
+    return {
+        type: 'Polygon',
+        coordinates: [[
+            [minLng + inset, minLat + inset],
+            [maxLng - inset, minLat + inset],
+            [maxLng - inset, maxLat - inset],
+            [minLng + inset, maxLat - inset],
+            [minLng + inset, minLat + inset]
+        ]]
+    };
+}
+
+const AREA = insideCell(CELL);
+
+/**
+ * Prewarmer on a fresh in-memory store
+ * @param {Object} options
+ * @param {number} options.maxResultCount - Result cap of the file provider
+ * @param {number} options.costPerCall - Cost of one provider call
+ * @returns {Prewarmer}
+ */
+function createPrewarmer({ maxResultCount = 20, costPerCall = 0 } = {}) {
+    const dataManager = new DataManager({ storage: new EmbeddedStorage() });
+    dataManager.placesProvider.maxResultCount = maxResultCount;
+    const prewarmer = new Prewarmer(dataManager);
+    prewarmer.costPerCall = costPerCall;
+    return prewarmer;
+}
+
+describe('Prewarmer', () => {
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    after(() => {
+        fs.rmSync(datasetDir, { recursive: true, force: true });
+    });
+
+    test('covers the area with gridPrecision cells at most', () => {
+        assert.deepEqual(createPrewarmer().getCells(AREA), [CELL]);
+    });
+
+    test('estimates one call per uncached gridPrecision cell and type', async () => {
+        const prewarmer = createPrewarmer();
+        assert.deepEqual(await prewarmer.estimate(AREA, ['cafe', 'pharmacy']), { cells: 1, units: 2, calls: 2 });
+
+        await (await prewarmer.start({ area: AREA, commodityTypes: ['cafe'], budget: 10 })).done;
+        assert.deepEqual(await prewarmer.estimate(AREA, ['cafe', 'pharmacy']), { cells: 1, units: 2, calls: 1 });
+
+        // Coarse cells of the cover cost one call per gridPrecision cell they hold, less the cached one
+        const regionArea = insideCell(CELL.slice(0, 5));
+        const cells = prewarmer.getCells(regionArea);
+        assert.ok(cells.some(cell => cell.length < 7));
+        const gridCells = cells.reduce((sum, cell) => sum + 32 ** (7 - cell.length), 0);
+        assert.deepEqual(await prewarmer.estimate(regionArea, ['cafe']), { cells: cells.length, units: cells.length, calls: gridCells - 1 });
+    });
+
+    test('fetches every uncached cell and type, and skips them once cached', async () => {
+        const prewarmer = createPrewarmer();
+        const { job, done } = await prewarmer.start({ area: AREA, commodityTypes: ['cafe', 'pharmacy'], budget: 10 });
+        const finished = await done;
+
+        assert.equal(finished.status, 'completed');
+        assert.equal(finished.calls, 2);
+        assert.equal(finished.placeCount, CAFES.length);
+        assert.deepEqual(finished.progress, { total: 2, processed: 2, cached: 0, fetched: 2, failed: 0 });
+
+        await assert.rejects(prewarmer.resume(job._id), /already completed/);
+        const again = await (await prewarmer.start({ area: AREA, commodityTypes: ['cafe', 'pharmacy'], budget: 10 })).done;
+        assert.equal(again.status, 'completed');
+        assert.equal(again.calls, 0);
+        assert.equal(again.progress.cached, 2);
+    });
+
+    test('stops at the job budget, keeps what it fetched and goes on when resumed with more', async () => {
+        const prewarmer = createPrewarmer({ maxResultCount: 2, costPerCall: 1 });
+        const { job, done } = await prewarmer.start({ area: AREA, commodityTypes: ['cafe'], budget: 5 });
+        const exhausted = await done;
+
+        assert.equal(exhausted.status, 'budget_exhausted');
+        assert.equal(exhausted.calls, 5);
+        assert.equal(exhausted.estimatedCost, 5);
+        assert.equal(exhausted.progress.failed, 1);
+
+        // The cell again, then the 28 children the first run did not reach
+        const resumed = await (await prewarmer.resume(job._id, { budget: 100 })).done;
+        assert.equal(resumed.status, 'completed');
+        assert.equal(resumed.calls, 5 + 1 + 28);
+        assert.equal(resumed.runs, 2);
+    });
+});
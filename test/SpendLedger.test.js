@@ -0,0 +1,114 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const SpendLedger = require('../db/SpendLedger');
+const EmbeddedStorage = require('../db/storage/EmbeddedStorage');
+
+const { BudgetExceededError } = SpendLedger;
+
+/**
+ * Ledger on a fresh in-memory store
+ * @param {Object} budgets - { dailyBudget, monthlyBudget }
+ * @returns {SpendLedger}
+ */
+function createLedger(budgets) {
+    return new SpendLedger({ ...budgets, storage: new EmbeddedStorage() });
+}
+
+/**
+ * Reserve, then record a successful call of the given cost
+ * @param {SpendLedger} ledger - Ledger
+ * @param {number} cost - Cost of the call
+ * @returns {Promise<void>}
+ */
+async function spend(ledger, cost) {
+    const reserved = await ledger.reserve(cost);
+    await ledger.record({ commodityType: 'cafe', resultCount: 1, estimatedCost: cost }, reserved);
+}
+
+describe('SpendLedger', () => {
+    test('refuses a call that would exceed the daily budget', async () => {
+        const ledger = createLedger({ dailyBudget: 1 });
+        await spend(ledger, 0.4);
+        await spend(ledger, 0.4);
+
+        await assert.rejects(ledger.reserve(0.4), error => {
+            assert.ok(error instanceof BudgetExceededError);
+            assert.equal(error.period, 'daily');
+            assert.equal(error.budget, 1);
+            assert.ok(Math.abs(error.spent - 0.8) < 1e-9);
+            return true;
+        });
+        assert.equal((await ledger.checkBudget(0.2)).ok, true);
+        assert.equal((await ledger.checkBudget(0.4)).period, 'daily');
+    });
+
+    test('reservations count against the budget before the calls are recorded', async () => {
+        const ledger = createLedger({ dailyBudget: 0.75 });
+
+        const results = await Promise.allSettled(Array.from({ length: 10 }, () => ledger.reserve(0.25)));
+        const reserved = results.filter(result => result.status === 'fulfilled');
+        assert.equal(reserved.length, 3);
+        results.filter(result => result.status === 'rejected')
+            .forEach(result => assert.ok(result.reason instanceof BudgetExceededError));
+    });
+
+    test('a failed call gives its reservation back', async () => {
+        const ledger = createLedger({ dailyBudget: 0.1 });
+        const reserved = await ledger.reserve(0.1);
+        await assert.rejects(ledger.reserve(0.1), BudgetExceededError);
+
+        await ledger.record({ commodityType: 'cafe', success: false, error: 'timeout' }, reserved);
+        assert.equal(await ledger.reserve(0.1), 0.1);
+    });
+
+    test('enforces the monthly budget with spend of earlier days', async () => {
+        const storage = new EmbeddedStorage();
+        const now = new Date();
+        const monthStart = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1);
+        const dayStart = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+        // Earlier this month when possible, otherwise today
+        const earlier = new Date(Math.max(monthStart, dayStart - 1));
+        await storage.apiCalls.create({ commodityType: 'cafe', estimatedCost: 5, calledAt: earlier });
+        // Last month does not count
+        await storage.apiCalls.create({ commodityType: 'cafe', estimatedCost: 100, calledAt: new Date(monthStart - 1) });
+
+        const ledger = new SpendLedger({ dailyBudget: 10, monthlyBudget: 5.5, storage });
+        await spend(ledger, 0.5);
+        await assert.rejects(ledger.reserve(0.1), error => error instanceof BudgetExceededError && error.period === 'monthly');
+
+        const status = await ledger.getStatus();
+        assert.equal(status.monthly.spent, 5.5);
+        assert.equal(status.monthly.remaining, 0);
+        assert.equal(status.exhausted, true);
+    });
+
+    test('reloads the totals written by other processes after refreshInterval', async () => {
+        const storage = new EmbeddedStorage();
+        const ledger = new SpendLedger({ dailyBudget: 1, refreshInterval: 0, storage });
+        assert.equal((await ledger.checkBudget(1)).ok, true);
+
+        await storage.apiCalls.create({ commodityType: 'cafe', estimatedCost: 0.5 });
+        assert.equal((await ledger.checkBudget(1)).ok, false);
+    });
+
+    test('reserves nothing without budgets', async () => {
+        const ledger = createLedger({});
+        assert.equal(await ledger.reserve(1000), 0);
+        assert.equal((await ledger.checkBudget(1000)).ok, true);
+    });
+
+    test('reports spend per day with the empty days', async () => {
+        const ledger = createLedger({});
+        await spend(ledger, 0.25);
+        await ledger.record({ commodityType: 'pharmacy', success: false, error: 'timeout' });
+
+        const report = await ledger.getReport('day', 3);
+        assert.equal(report.length, 3);
+        assert.equal(report[0].calls, 0);
+        const today = report[2];
+        assert.equal(today.calls, 2);
+        assert.equal(today.failedCalls, 1);
+        assert.equal(today.estimatedCost, 0.25);
+        assert.deepEqual(Object.keys(today.byCommodityType).sort(), ['cafe', 'pharmacy']);
+    });
+});
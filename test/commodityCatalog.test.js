@@ -0,0 +1,71 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const CommodityCatalog = require('../web/commodityCatalog');
+const config = require('../config/config');
+
+const GROCERY = { id: 'grocery', providerTypes: ['supermarket', 'grocery_store'], defaultWeight: 40 };
+const CONVENIENCE = { id: 'convenience', providerTypes: ['convenience_store', 'grocery_store'] };
+
+describe('CommodityCatalog', () => {
+    test('accepts the configured catalog', () => {
+        const catalog = new CommodityCatalog(config.commodityCatalog);
+        assert.deepEqual(catalog.getIds(), config.commodityCatalog.map(entry => entry.id));
+        assert.deepEqual(catalog.getDefaultWeights(), config.commodityCatalog.map(entry => entry.defaultWeight));
+    });
+
+    test('fills in optional fields', () => {
+        const entry = new CommodityCatalog([{ id: 'park', providerTypes: ['park'] }]).getEntry('park');
+        assert.deepEqual(entry, { id: 'park', label: 'park', providerTypes: ['park'], defaultWeight: 50, icon: null, utility: null });
+    });
+
+    const invalid = [
+        ['an empty catalog', [], /non-empty array/],
+        ['a missing catalog', undefined, /non-empty array/],
+        ['an id with capitals', [{ id: 'Grocery', providerTypes: ['supermarket'] }], /Invalid commodity id: Grocery/],
+        ['a missing id', [{ providerTypes: ['supermarket'] }], /Invalid commodity id/],
+        ['no provider types', [{ id: 'grocery', providerTypes: [] }], /needs at least one provider type/],
+        ['an empty provider type', [{ id: 'grocery', providerTypes: [''] }], /needs at least one provider type/],
+        ['a weight above 100', [{ id: 'grocery', providerTypes: ['supermarket'], defaultWeight: 101 }], /between 0 and 100/],
+        ['a weight that is not a number', [{ id: 'grocery', providerTypes: ['supermarket'], defaultWeight: '50' }], /between 0 and 100/],
+        [
+            'a utility curve ending before it starts',
+            [{ id: 'grocery', providerTypes: ['supermarket'], utility: { fullCreditDistance: 500, zeroCreditDistance: 500 } }],
+            /0 <= fullCreditDistance < zeroCreditDistance/
+        ],
+        [
+            'a negative utility distance',
+            [{ id: 'grocery', providerTypes: ['supermarket'], utility: { fullCreditDistance: -1, zeroCreditDistance: 500 } }],
+            /0 <= fullCreditDistance < zeroCreditDistance/
+        ],
+        ['a duplicate id', [GROCERY, { ...GROCERY }], /Duplicate commodity id: grocery/]
+    ];
+    for (const [name, entries, message] of invalid) {
+        test(`rejects ${name}`, () => {
+            assert.throws(() => new CommodityCatalog(entries), message);
+        });
+    }
+
+    test('maps provider types to every entry they count toward', () => {
+        const catalog = new CommodityCatalog([GROCERY, CONVENIENCE]);
+
+        assert.deepEqual(catalog.getProviderTypes(), ['supermarket', 'grocery_store', 'convenience_store']);
+        assert.deepEqual(catalog.getTypeIndices(['grocery_store']), [0, 1]);
+        assert.deepEqual(catalog.getTypeIndices(['supermarket', 'grocery_store']), [0, 1]);
+        assert.deepEqual(catalog.getTypeIndices(['bakery']), []);
+        assert.deepEqual(catalog.getTypeIndices(undefined), []);
+    });
+
+    test('resolves commodity ids to provider types and passes other names through', () => {
+        const catalog = new CommodityCatalog([GROCERY]);
+        assert.deepEqual(catalog.resolveProviderTypes('grocery'), ['supermarket', 'grocery_store']);
+        assert.deepEqual(catalog.resolveProviderTypes('supermarket'), ['supermarket']);
+    });
+
+    test('builds clamped weights in catalog order', () => {
+        const catalog = new CommodityCatalog([GROCERY, CONVENIENCE, { id: 'park', providerTypes: ['park'] }]);
+
+        assert.deepEqual(catalog.toWeights(), [40, 50, 50]);
+        assert.deepEqual(catalog.toWeights({ park: 150, grocery: -5, convenience: '75' }), [0, 75, 100]);
+        assert.deepEqual(catalog.toWeights({ grocery: 'lots', convenience: null }), [0, 50, 50]);
+    });
+});
@@ -0,0 +1,152 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const CommodityScorer = require('../web/commodityScoring');
+const { ScoringMap } = require('../web/CalculateScore');
+
+// About 1 km x 0.7 km cells, position 0 in the north-west corner
+const BOUNDS = { sw: { lat: 45.49, lng: -73.58 }, ne: { lat: 45.517, lng: -73.553 } };
+const GRID_SIZE = 3;
+const GRID_BOUNDS = ScoringMap.toGridBounds(BOUNDS, GRID_SIZE);
+
+/**
+ * Center of a scoring cell
+ * @param {number} position - Cell position
+ * @returns {{lat: number, lng: number}}
+ */
+function cellCenter(position) {
+    const { sw, ne } = GRID_BOUNDS[position];
+    return { lat: (sw.lat + ne.lat) / 2, lng: (sw.lng + ne.lng) / 2 };
+}
+
+/**
+ * Place entry for ScoringMap.populate
+ * @param {{lat: number, lng: number}} location - Where the place is
+ * @param {number} typeIndex - Commodity type index
+ * @param {Object} fields - Optional: rating, userRatingCount
+ * @returns {{place: Object, typeIndex: number}}
+ */
+function entry(location, typeIndex, fields = {}) {
+    return { place: { location: { lat: location.lat, lng: location.lng }, ...fields }, typeIndex };
+}
+
+/**
+ * Score a 3x3 map
+ * @param {Object} scorerConfig - CommodityScorer config
+ * @param {Array<number>} weights - Weight per commodity type
+ * @param {Array<Object>} entries - Places from entry()
+ * @returns {Array<Object>} Scores by cell position
+ */
+function score(scorerConfig, weights, entries) {
+    const scoringMap = new ScoringMap();
+    scoringMap.setGridSize(GRID_SIZE);
+    scoringMap.setWeight(weights);
+    scoringMap.populate(GRID_BOUNDS, entries, weights.length);
+    const scores = scoringMap.calculateScores(new CommodityScorer({ maxDistance: 5000, decayFactor: 2, varianceAmplification: 2, ...scorerConfig }));
+    return scores.sort((a, b) => parseInt(a.gridId.split('_')[1], 10) - parseInt(b.gridId.split('_')[1], 10));
+}
+
+describe('CommodityScorer', () => {
+    test('rejects an unknown mode', () => {
+        assert.throws(() => new CommodityScorer({ mode: 'nearest' }), /Unknown scoring mode: nearest/);
+    });
+
+    test('amplifies weights away from their mean', () => {
+        const scorer = new CommodityScorer({ varianceAmplification: 2 });
+        assert.deepEqual(scorer.calculateVarianceMultipliers([100, 0]), [100, 0]);
+        assert.deepEqual(scorer.calculateVarianceMultipliers([50, 50]), [50, 50]);
+        const [high, middle, low] = scorer.calculateVarianceMultipliers([80, 50, 20]);
+        assert.ok(high > 80 && low < 20);
+        assert.equal(middle, 50);
+    });
+
+    describe('count mode', () => {
+        test('scores a cell by the weights of the amenities inside it', () => {
+            const scores = score({}, [100, 0], [
+                entry(cellCenter(0), 0),
+                entry(cellCenter(0), 0),
+                entry(cellCenter(2), 1),
+                entry(cellCenter(4), 0),
+                entry(cellCenter(4), 1)
+            ]);
+
+            assert.equal(scores[0].baseScore, 100);
+            assert.equal(scores[2].baseScore, 0);
+            assert.equal(scores[4].baseScore, 50);
+            assert.equal(scores[8].baseScore, 0);
+        });
+
+        test('neighbors raise the aggregated score of an empty cell, less with distance', () => {
+            const scores = score({}, [100], [entry(cellCenter(0), 0)]);
+
+            assert.equal(scores[0].baseScore, 100);
+            assert.equal(scores[1].baseScore, 0);
+            assert.ok(scores[1].aggregatedScore > 0);
+            assert.ok(scores[1].aggregatedScore > scores[2].aggregatedScore);
+            assert.ok(scores[0].aggregatedScore > scores[1].aggregatedScore);
+            scores.forEach(({ aggregatedScore }) => assert.ok(aggregatedScore >= 0 && aggregatedScore <= 100));
+        });
+    });
+
+    describe('distance mode', () => {
+        const utilityCurves = [{ fullCreditDistance: 300, zeroCreditDistance: 1500 }];
+
+        test('gives full credit near an amenity, less further away and none past zeroCreditDistance', () => {
+            const scores = score({ mode: 'distance', nearestK: 1, utilityCurves }, [80], [entry(cellCenter(0), 0)]);
+
+            assert.equal(scores[0].baseScore, 100);
+            assert.ok(scores[1].baseScore > 0 && scores[1].baseScore < 100);
+            assert.equal(scores[8].baseScore, 0);
+        });
+
+        test('counts amenities outside the scored area', () => {
+            const outside = { lat: BOUNDS.ne.lat + 0.001, lng: cellCenter(0).lng };
+            const countScores = score({}, [80], [entry(outside, 0)]);
+            const distanceScores = score({ mode: 'distance', nearestK: 1, utilityCurves }, [80], [entry(outside, 0)]);
+
+            assert.equal(countScores[0].baseScore, 0);
+            assert.ok(distanceScores[0].baseScore > 0);
+        });
+
+        test('averages the credit of the nearestK closest amenities', () => {
+            const one = score({ mode: 'distance', nearestK: 2, utilityCurves }, [80], [entry(cellCenter(4), 0)]);
+            const two = score({ mode: 'distance', nearestK: 2, utilityCurves }, [80], [entry(cellCenter(4), 0), entry(cellCenter(4), 0)]);
+
+            assert.equal(one[4].baseScore, 50);
+            assert.equal(two[4].baseScore, 100);
+        });
+    });
+
+    describe('quality', () => {
+        const great = { rating: 5, userRatingCount: 1000 };
+        const poor = { rating: 1, userRatingCount: 1000 };
+
+        test('weighs amenities by their rating in count mode', () => {
+            const scores = score({ qualityWeight: 100 }, [80], [entry(cellCenter(0), 0, great), entry(cellCenter(2), 0, poor)]);
+            assert.ok(scores[0].baseScore > 75);
+            assert.ok(scores[2].baseScore < 5);
+
+            const unweighted = score({ qualityWeight: 0 }, [80], [entry(cellCenter(0), 0, great), entry(cellCenter(2), 0, poor)]);
+            assert.equal(unweighted[0].baseScore, 80);
+            assert.equal(unweighted[2].baseScore, 80);
+        });
+
+        test('weighs amenities by their rating in distance mode', () => {
+            const config = { mode: 'distance', nearestK: 1, qualityWeight: 100 };
+            const greatScores = score(config, [80], [entry(cellCenter(4), 0, great)]);
+            const poorScores = score(config, [80], [entry(cellCenter(4), 0, poor)]);
+            assert.ok(greatScores[4].baseScore > poorScores[4].baseScore);
+        });
+
+        test('a few reviews barely move a place away from the prior', () => {
+            const scorer = new CommodityScorer({ qualityWeight: 100 });
+            const fewReviews = scorer.calculatePlaceContribution({ rating: 5, userRatingCount: 2 });
+            const manyReviews = scorer.calculatePlaceContribution({ rating: 5, userRatingCount: 1000 });
+            const unrated = scorer.calculatePlaceContribution({});
+
+            assert.ok(manyReviews > fewReviews);
+            assert.ok(fewReviews > unrated);
+            assert.equal(unrated, (3.5 - 1) / 4);
+            assert.equal(new CommodityScorer().calculatePlaceContribution({ rating: 1, userRatingCount: 1000 }), 1);
+        });
+    });
+});
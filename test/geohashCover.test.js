@@ -0,0 +1,112 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const geohash = require('ngeohash');
+const geohashCover = require('../db/geohashCover');
+const { haversineDistance } = require('../db/geoUtils');
+
+const CENTER = { lat: 45.5017, lng: -73.5673 };
+
+// A square of about 1.5 km around CENTER with a hole in its north-east quarter
+const SQUARE_WITH_HOLE = {
+    type: 'Polygon',
+    coordinates: [
+        [[-73.577, 45.495], [-73.557, 45.495], [-73.557, 45.509], [-73.577, 45.509], [-73.577, 45.495]],
+        [[-73.565, 45.503], [-73.559, 45.503], [-73.559, 45.507], [-73.565, 45.507], [-73.565, 45.503]]
+    ]
+};
+
+/**
+ * Whether any cell of a cover is inside another one
+ * @param {Array<string>} cells - Geohashes
+ * @returns {boolean}
+ */
+function hasOverlap(cells) {
+    return cells.some(cell => cells.some(other => other !== cell && cell.startsWith(other)));
+}
+
+describe('geohashCover', () => {
+    test('coverShape returns exactly the cells of a precision that touch a circle', () => {
+        const circle = geohashCover.createCircle(CENTER.lat, CENTER.lng, 300);
+        const cells = geohashCover.coverShape(circle, 7);
+
+        assert.ok(cells.length > 0);
+        assert.ok(cells.every(cell => cell.length === 7));
+        assert.ok(cells.includes(geohash.encode(CENTER.lat, CENTER.lng, 7)));
+
+        // Points on a ring just inside the circle fall in the cover
+        for (let angle = 0; angle < 360; angle += 15) {
+            const radians = (angle * Math.PI) / 180;
+            const lat = CENTER.lat + (290 / 111320) * Math.cos(radians);
+            const lng = CENTER.lng + (290 / (111320 * Math.cos((CENTER.lat * Math.PI) / 180))) * Math.sin(radians);
+            assert.ok(haversineDistance(CENTER, { lat, lng }) < 300);
+            assert.ok(cells.includes(geohash.encode(lat, lng, 7)), `point at ${angle}° is not covered`);
+        }
+
+        // Cells far outside the circle are not
+        assert.ok(!cells.includes(geohash.encode(CENTER.lat + 0.01, CENTER.lng, 7)));
+    });
+
+    test('coverShapeMixed keeps the interior coarse and covers the same area', () => {
+        const circle = geohashCover.createCircle(CENTER.lat, CENTER.lng, 3000);
+        const mixed = geohashCover.coverShapeMixed(circle, { minPrecision: 5, maxPrecision: 7, maxCells: 10000 });
+
+        assert.ok(mixed.every(cell => cell.length >= 5 && cell.length <= 7));
+        assert.ok(mixed.some(cell => cell.length < 7), 'interior cells should stay coarse');
+        assert.ok(!hasOverlap(mixed));
+        assert.deepEqual(geohashCover.expandToPrecision(mixed, 7).sort(), geohashCover.coverShape(circle, 7));
+    });
+
+    test('coverShapeMixed lowers the edge precision until the cover fits in maxCells', () => {
+        const circle = geohashCover.createCircle(CENTER.lat, CENTER.lng, 3000);
+        const fine = geohashCover.coverShapeMixed(circle, { minPrecision: 5, maxPrecision: 7, maxCells: 10000 });
+        const bounded = geohashCover.coverShapeMixed(circle, { minPrecision: 5, maxPrecision: 7, maxCells: 64 });
+
+        assert.ok(bounded.length <= 64);
+        assert.ok(bounded.length < fine.length);
+        assert.ok(!hasOverlap(bounded));
+    });
+
+    test('polygon covers leave out holes and the area outside', () => {
+        const polygon = geohashCover.createPolygon(SQUARE_WITH_HOLE);
+
+        assert.ok(polygon.containsPoint({ lat: 45.497, lng: -73.575 }));
+        assert.ok(!polygon.containsPoint({ lat: 45.505, lng: -73.562 }), 'point in the hole');
+        assert.ok(!polygon.containsPoint({ lat: 45.52, lng: -73.575 }), 'point outside');
+
+        const cells = geohashCover.coverShape(polygon, 7);
+        assert.ok(cells.includes(geohash.encode(45.497, -73.575, 7)));
+        assert.ok(!cells.includes(geohash.encode(45.505, -73.562, 7)));
+        assert.ok(!cells.includes(geohash.encode(45.52, -73.575, 7)));
+    });
+
+    test('createPolygon rejects geometry that is not a polygon', () => {
+        assert.throws(() => geohashCover.createPolygon({ type: 'Polygon', coordinates: [] }), /Polygon or MultiPolygon/);
+        assert.throws(() => geohashCover.createPolygon({ type: 'MultiPolygon', coordinates: [[]] }), /Polygon or MultiPolygon/);
+    });
+
+    test('box covers match the box bounds', () => {
+        const box = geohashCover.createBox({ lat: 45.49, lng: -73.58 }, { lat: 45.51, lng: -73.55 });
+        const cells = geohashCover.coverShape(box, 6);
+
+        assert.ok(cells.includes(geohash.encode(45.5, -73.565, 6)));
+        assert.ok(!cells.includes(geohash.encode(45.6, -73.565, 6)));
+        cells.forEach(cell => {
+            const [minLat, minLng, maxLat, maxLng] = geohash.decode_bbox(cell);
+            assert.ok(minLat <= 45.51 && maxLat >= 45.49 && minLng <= -73.55 && maxLng >= -73.58);
+        });
+    });
+
+    test('expandToPrecision and expandInShape return descendants at the target precision', () => {
+        const cell = geohash.encode(CENTER.lat, CENTER.lng, 6);
+        const all = geohashCover.expandToPrecision([cell], 7);
+        assert.equal(all.length, 32);
+        assert.ok(all.every(child => child.length === 7 && child.startsWith(cell)));
+        assert.deepEqual(geohashCover.expandToPrecision([`${cell}0`], 7), [`${cell}0`]);
+
+        const circle = geohashCover.createCircle(CENTER.lat, CENTER.lng, 100);
+        const inCircle = geohashCover.expandInShape([cell], circle, 7);
+        assert.ok(inCircle.length > 0 && inCircle.length < 32);
+        assert.ok(inCircle.includes(geohash.encode(CENTER.lat, CENTER.lng, 7)));
+        assert.deepEqual(inCircle, geohashCover.coverShape(circle, 7).filter(child => child.startsWith(cell)));
+    });
+});
@@ -0,0 +1,190 @@
+const { describe, test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    CallAllowance,
+    CallLimitError,
+    CircuitBreaker,
+    CircuitOpenError,
+    isClientError,
+    retryWithBackoff
+} = require('../db/resilience');
+
+/**
+ * Error carrying an HTTP status, like the ones thrown by the places providers
+ * @param {number} status - HTTP status
+ * @returns {Error}
+ */
+function httpError(status) {
+    const error = new Error(`HTTP ${status}`);
+    error.status = status;
+    return error;
+}
+
+const RETRY = { retries: 3, baseDelayMs: 1, maxDelayMs: 5, shouldRetry: () => true };
+
+describe('retryWithBackoff', () => {
+    test('retries until an attempt succeeds', async () => {
+        const fn = mock.fn(async attempt => {
+            if (attempt < 2) throw new Error('flaky');
+            return 'ok';
+        });
+
+        assert.equal(await retryWithBackoff(fn, RETRY), 'ok');
+        assert.equal(fn.mock.callCount(), 3);
+        assert.deepEqual(fn.mock.calls.map(call => call.arguments[0]), [0, 1, 2]);
+    });
+
+    test('throws the last error once the retries are used up', async () => {
+        const fn = mock.fn(async attempt => {
+            throw new Error(`attempt ${attempt}`);
+        });
+
+        await assert.rejects(retryWithBackoff(fn, RETRY), /attempt 3/);
+        assert.equal(fn.mock.callCount(), 4);
+    });
+
+    test('does not retry errors shouldRetry rejects', async () => {
+        const fn = mock.fn(async () => {
+            throw httpError(400);
+        });
+
+        await assert.rejects(retryWithBackoff(fn, { ...RETRY, shouldRetry: error => !isClientError(error) }), /HTTP 400/);
+        assert.equal(fn.mock.callCount(), 1);
+    });
+
+    test('waits at least retryAfterMs and caps the backoff at maxDelayMs', async () => {
+        const delays = [];
+        const fn = async attempt => {
+            if (attempt === 0) {
+                const error = new Error('rate limited');
+                error.retryAfterMs = 30;
+                throw error;
+            }
+            if (attempt < 4) throw new Error('flaky');
+            return 'ok';
+        };
+
+        await retryWithBackoff(fn, { ...RETRY, retries: 4, baseDelayMs: 4, onRetry: (error, attempt, delayMs) => delays.push(delayMs) });
+        assert.equal(delays.length, 4);
+        assert.ok(delays[0] >= 30);
+        delays.slice(1).forEach(delayMs => assert.ok(delayMs >= 0 && delayMs <= 5));
+    });
+});
+
+describe('CircuitBreaker', () => {
+    test('opens after failureThreshold consecutive failures and refuses calls', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 60 * 1000 });
+        const failing = mock.fn(async () => {
+            throw new Error('down');
+        });
+        mock.method(console, 'warn', () => {});
+
+        await assert.rejects(breaker.call(failing), /down/);
+        assert.equal(breaker.state, 'closed');
+        await assert.rejects(breaker.call(failing), /down/);
+        assert.equal(breaker.state, 'open');
+        assert.ok(breaker.isOpen());
+
+        await assert.rejects(breaker.call(failing), CircuitOpenError);
+        assert.equal(failing.mock.callCount(), 2);
+        mock.restoreAll();
+    });
+
+    test('a success resets the failure count', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 60 * 1000 });
+
+        await assert.rejects(breaker.call(async () => { throw new Error('down'); }));
+        assert.equal(await breaker.call(async () => 'ok'), 'ok');
+        await assert.rejects(breaker.call(async () => { throw new Error('down'); }));
+        assert.equal(breaker.state, 'closed');
+        assert.equal(breaker.failures, 1);
+    });
+
+    test('lets one trial call through after resetTimeoutMs', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 10 });
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'log', () => {});
+
+        await assert.rejects(breaker.call(async () => { throw new Error('down'); }));
+        assert.equal(breaker.state, 'open');
+        await new Promise(resolve => setTimeout(resolve, 15));
+
+        // While the trial is in flight other calls are refused
+        let finishTrial;
+        const trial = breaker.call(() => new Promise(resolve => { finishTrial = resolve; }));
+        assert.equal(breaker.state, 'half-open');
+        await assert.rejects(breaker.call(async () => 'second'), CircuitOpenError);
+
+        finishTrial('recovered');
+        assert.equal(await trial, 'recovered');
+        assert.equal(breaker.state, 'closed');
+        mock.restoreAll();
+    });
+
+    test('a failed trial opens the breaker again', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 3, resetTimeoutMs: 10 });
+        mock.method(console, 'warn', () => {});
+
+        for (let i = 0; i < 3; i++) {
+            await assert.rejects(breaker.call(async () => { throw new Error('down'); }));
+        }
+        await new Promise(resolve => setTimeout(resolve, 15));
+        await assert.rejects(breaker.call(async () => { throw new Error('still down'); }), /still down/);
+        assert.equal(breaker.state, 'open');
+        mock.restoreAll();
+    });
+
+    test('errors isFailure rejects pass through without counting', async () => {
+        const breaker = new CircuitBreaker({
+            failureThreshold: 1,
+            isFailure: error => !(error instanceof CallLimitError) && !isClientError(error)
+        });
+
+        await assert.rejects(breaker.call(async () => { throw httpError(404); }), /HTTP 404/);
+        await assert.rejects(breaker.call(async () => { throw new CallLimitError(1); }), CallLimitError);
+        assert.equal(breaker.state, 'closed');
+        assert.equal(breaker.failures, 0);
+
+        mock.method(console, 'warn', () => {});
+        await assert.rejects(breaker.call(async () => { throw httpError(503); }), /HTTP 503/);
+        assert.equal(breaker.state, 'open');
+        mock.restoreAll();
+    });
+});
+
+describe('isClientError', () => {
+    test('is true for 4xx answers except rate limits', () => {
+        assert.equal(isClientError(httpError(400)), true);
+        assert.equal(isClientError(httpError(403)), true);
+        assert.equal(isClientError(httpError(429)), false);
+        assert.equal(isClientError(httpError(500)), false);
+        assert.equal(isClientError(new Error('timeout')), false);
+        assert.equal(isClientError(null), false);
+    });
+});
+
+describe('CallAllowance', () => {
+    test('hands out maxCalls calls, then throws CallLimitError', () => {
+        const allowance = new CallAllowance(2);
+        allowance.take();
+        allowance.take();
+        assert.equal(allowance.remaining(), 0);
+        assert.throws(() => allowance.take(), CallLimitError);
+        assert.equal(allowance.used, 2);
+    });
+
+    test('refund gives back a call that was not made', () => {
+        const allowance = new CallAllowance(1);
+        allowance.take();
+        allowance.refund();
+        assert.equal(allowance.remaining(), 1);
+        allowance.refund();
+        assert.equal(allowance.used, 0);
+    });
+
+    test('has no limit without maxCalls', () => {
+        const allowance = new CallAllowance();
+        for (let i = 0; i < 1000; i++) allowance.take();
+        assert.equal(allowance.remaining(), Infinity);
+    });
+});
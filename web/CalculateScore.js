@@ -5,6 +5,10 @@ class ScoringMap {
     this.gridSize = 9; //This is the outer Grid
 
     this.weight = [];
+
+    this.typeCount = 0;
+    this.places = []; //Located places of the last populate: {lat, lng, typeIndex, rating, userRatingCount}
+    this.cellPlaces = []; //Places inside each cell, by position
   }
   //getter
   getGrid() {
@@ -22,6 +26,9 @@ class ScoringMap {
   getCell(position) {
     return this.grid[position];
   }
+  getPlaces() {
+    return this.places;
+  }
 
   getAllScores() {
     return this.grid.map((cell) => (cell ? cell.getScores() : null));
@@ -53,11 +60,14 @@ class ScoringMap {
     this.gridSize = size * size;
     this.setCenter();
   }
+  /**
+   * @param {Array<number>} weight - One weight per commodity type, in catalog order
+   */
   setWeight(weight) {
-    if (Array.isArray(weight) && weight.length === 5) {
+    if (Array.isArray(weight) && weight.length > 0 && weight.every(Number.isFinite)) {
       this.weight = weight;
     } else {
-      throw new Error("Weight must be an array of size 5");
+      throw new Error("Weight must be a non-empty array of numbers");
     }
   }
   //Functions
@@ -66,14 +76,125 @@ class ScoringMap {
   }
 
   /**
-   * Send data to scorer for processing
-   * @param {CommodityScorer} scorer - The scorer instance
-   * @returns {Array} Aggregated scores with grid data
+   * Split a bounding box into gridSize x gridSize cells, row by row from the north-west corner
+   * @param {{ne: {lat: number, lng: number}, sw: {lat: number, lng: number}}} bounds - Area to split
+   * @param {number} gridSize - Number of divisions per side (e.g., 3 for 3x3)
+   * @returns {Array<{ne: Object, sw: Object}>} Cell bounds in position order
    */
-  calculateScores(scorer) {
-    if (!scorer) throw new Error("Scorer instance required");
+  static toGridBounds(bounds, gridSize) {
+    const { ne, sw } = bounds;
+    const latStep = (ne.lat - sw.lat) / gridSize;
+    const lngStep = (ne.lng - sw.lng) / gridSize;
 
-    // Convert grid cells to a Map format expected by scorer
+    const cells = [];
+    for (let row = 0; row < gridSize; row++) {
+      for (let col = 0; col < gridSize; col++) {
+        cells.push({
+          ne: {
+            lat: ne.lat - row * latStep,
+            lng: sw.lng + (col + 1) * lngStep,
+          },
+          sw: {
+            lat: ne.lat - (row + 1) * latStep,
+            lng: sw.lng + col * lngStep,
+          },
+        });
+      }
+    }
+    return cells;
+  }
+
+  /**
+   * Read {lat, lng} from a place in any of the shapes we receive
+   * (numbers, Google LatLng getters or GeoJSON coordinates)
+   * @param {Object} place - Place or commodity object
+   * @returns {{lat: number, lng: number}|null} Coordinates, or null if missing
+   */
+  static getPlaceLocation(place) {
+    const location = place && place.location;
+    if (!location) return null;
+
+    let lat;
+    let lng;
+    if (typeof location.lat === "function" && typeof location.lng === "function") {
+      lat = location.lat();
+      lng = location.lng();
+    } else if (typeof location.lat === "number" && typeof location.lng === "number") {
+      lat = location.lat;
+      lng = location.lng;
+    } else if (Array.isArray(location.coordinates) && location.coordinates.length >= 2) {
+      lng = location.coordinates[0];
+      lat = location.coordinates[1];
+    }
+
+    if (typeof lat !== "number" || typeof lng !== "number") return null;
+    return { lat, lng };
+  }
+
+  /**
+   * Create one cell per grid bound and count places per commodity type inside each
+   * Places outside every cell are not counted but are kept for distance scoring.
+   * @param {Array<{ne: Object, sw: Object}>} gridBounds - Cell bounds from toGridBounds
+   * @param {Array<{place: Object, typeIndex: number}>} entries - Places tagged with their commodity index
+   *   (place.rating and place.userRatingCount, when present, feed quality scoring)
+   * @param {number} typeCount - Number of commodity types (length of commodity counts)
+   */
+  populate(gridBounds, entries, typeCount) {
+    this.typeCount = typeCount;
+    this.places = entries
+      .map(({ place, typeIndex }) => {
+        const location = ScoringMap.getPlaceLocation(place);
+        if (!location || typeIndex === undefined) return null;
+        return {
+          lat: location.lat,
+          lng: location.lng,
+          typeIndex,
+          rating: place.rating ?? null,
+          userRatingCount: place.userRatingCount ?? null,
+        };
+      })
+      .filter(Boolean);
+    this.cellPlaces = [];
+
+    gridBounds.forEach((cellBounds, index) => {
+      const cellObj = new cell();
+      cellObj.setCoords({
+        topright: [cellBounds.ne.lng, cellBounds.ne.lat],
+        bottomleft: [cellBounds.sw.lng, cellBounds.sw.lat],
+      });
+      cellObj.setPosition(index);
+
+      const commodityCounts = new Array(typeCount).fill(0);
+      const cellPlaces = [];
+      this.places.forEach((place) => {
+        const { lat, lng, typeIndex } = place;
+        if (
+          lat >= cellBounds.sw.lat &&
+          lat <= cellBounds.ne.lat &&
+          lng >= cellBounds.sw.lng &&
+          lng <= cellBounds.ne.lng
+        ) {
+          commodityCounts[typeIndex]++;
+          cellPlaces.push(place);
+        }
+      });
+      this.cellPlaces[index] = cellPlaces;
+
+      commodityCounts.forEach((count, typeIndex) => {
+        cellObj.setCommodities(count, typeIndex);
+      });
+      this.addCell(cellObj, index);
+    });
+  }
+
+  /**
+   * Convert grid cells to the Map format expected by CommodityScorer
+   * @param {CommodityScorer} scorer - Optional: also weigh each cell's places by quality (qualityCounts)
+   *   and, in distance mode, find each cell's nearest places
+   * @returns {Map<string, Object>} gridId ("cell_<position>") -> { gridId, centerLat, centerLng, commodityCounts,
+   *   qualityCounts }
+   */
+  toGridMap(scorer = null) {
     const gridMap = new Map();
     this.grid.forEach((cellObj, index) => {
       if (cellObj) {
@@ -86,10 +207,28 @@ class ScoringMap {
           centerLat: centerLat,
           centerLng: centerLng,
           commodityCounts: cellObj.commodities,
+          qualityCounts: scorer
+            ? scorer.calculateQualityCounts(this.cellPlaces[index] || [], this.typeCount)
+            : undefined,
         });
       }
     });
-    console.log(gridMap);
+
+    if (scorer && scorer.mode === "distance") {
+      scorer.addNearestDistances(gridMap, this.places, this.typeCount);
+    }
+    return gridMap;
+  }
+
+  /**
+   * Send data to scorer for processing
+   * @param {CommodityScorer} scorer - The scorer instance
+   * @returns {Array} Aggregated scores with grid data
+   */
+  calculateScores(scorer) {
+    if (!scorer) throw new Error("Scorer instance required");
+
+    const gridMap = this.toGridMap(scorer);
     // Calculate scores using the scorer
     const scores = scorer.calculateAllAggregatedScores(gridMap, this.weight);
 
@@ -117,7 +256,7 @@ class cell {
     this.score = 0;
     this.aggregatedScore = 0;
 
-    this.commodities = []; //Currently 5 commodities
+    this.commodities = []; //One count per commodity type, in catalog order
   }
 
   //setter
@@ -183,3 +322,8 @@ class cell {
     return this.commodities;
   }
 }
+
+// Export for use in Node.js/module systems
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { ScoringMap, cell };
+}
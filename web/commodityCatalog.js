@@ -0,0 +1,160 @@
+/**
+ * Commodity catalog: the commodity types users weigh, in scoring order
+ *
+ * Each entry is a user-facing type ({ id, label, providerTypes, defaultWeight, icon, utility }) backed
+ * by one or more places provider types (the types places are fetched and cached under).
+ * Entry order is the order of the weights and of the commodity counts of every grid cell.
+ * The server builds it from config.commodityCatalog and serves it from GET /api/commodity-types.
+ */
+class CommodityCatalog {
+  /**
+   * @param {Array<Object>} entries - [{ id, label, providerTypes, defaultWeight, icon, utility }]
+   * @throws {Error} When an entry is invalid or an id is used twice
+   */
+  constructor(entries) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new Error("Commodity catalog must be a non-empty array");
+    }
+
+    this.entries = entries.map((entry) => CommodityCatalog.normalizeEntry(entry));
+    this.indexById = new Map();
+    // Provider type -> indices of the entries it counts toward
+    this.indicesByProviderType = new Map();
+
+    this.entries.forEach((entry, index) => {
+      if (this.indexById.has(entry.id)) {
+        throw new Error(`Duplicate commodity id: ${entry.id}`);
+      }
+      this.indexById.set(entry.id, index);
+
+      entry.providerTypes.forEach((providerType) => {
+        if (!this.indicesByProviderType.has(providerType)) {
+          this.indicesByProviderType.set(providerType, []);
+        }
+        this.indicesByProviderType.get(providerType).push(index);
+      });
+    });
+  }
+
+  /**
+   * Validate a catalog entry and fill in optional fields
+   * @param {Object} entry - { id, label, providerTypes, defaultWeight, icon, utility }
+   *   utility: optional distance-utility curve { fullCreditDistance, zeroCreditDistance } (m) of distance scoring
+   * @returns {Object} Entry with label, defaultWeight, icon and utility set
+   * @throws {Error} When the id or provider types are missing, the weight is outside 0-100 or the curve is invalid
+   */
+  static normalizeEntry(entry) {
+    if (!entry || typeof entry.id !== "string" || !/^[a-z0-9_-]+$/.test(entry.id)) {
+      throw new Error(`Invalid commodity id: ${entry && entry.id}`);
+    }
+    if (
+      !Array.isArray(entry.providerTypes) ||
+      entry.providerTypes.length === 0 ||
+      !entry.providerTypes.every((type) => typeof type === "string" && type)
+    ) {
+      throw new Error(`Commodity ${entry.id} needs at least one provider type`);
+    }
+
+    const defaultWeight = entry.defaultWeight === undefined ? 50 : entry.defaultWeight;
+    if (typeof defaultWeight !== "number" || defaultWeight < 0 || defaultWeight > 100) {
+      throw new Error(`Commodity ${entry.id}: defaultWeight must be between 0 and 100`);
+    }
+
+    const utility = entry.utility || null;
+    if (
+      utility &&
+      !(
+        Number.isFinite(utility.fullCreditDistance) &&
+        Number.isFinite(utility.zeroCreditDistance) &&
+        utility.fullCreditDistance >= 0 &&
+        utility.zeroCreditDistance > utility.fullCreditDistance
+      )
+    ) {
+      throw new Error(
+        `Commodity ${entry.id}: utility needs 0 <= fullCreditDistance < zeroCreditDistance`,
+      );
+    }
+
+    return {
+      id: entry.id,
+      label: entry.label || entry.id,
+      providerTypes: [...entry.providerTypes],
+      defaultWeight,
+      icon: entry.icon || null,
+      utility: utility && {
+        fullCreditDistance: utility.fullCreditDistance,
+        zeroCreditDistance: utility.zeroCreditDistance,
+      },
+    };
+  }
+
+  //getter
+  getEntries() {
+    return this.entries;
+  }
+  getIds() {
+    return this.entries.map((entry) => entry.id);
+  }
+  getEntry(id) {
+    return this.indexById.has(id) ? this.entries[this.indexById.get(id)] : null;
+  }
+  getDefaultWeights() {
+    return this.entries.map((entry) => entry.defaultWeight);
+  }
+  getUtilityCurves() {
+    return this.entries.map((entry) => entry.utility);
+  }
+
+  /**
+   * Every provider type of the catalog, once each, in catalog order
+   * @returns {Array<string>} Provider types
+   */
+  getProviderTypes() {
+    return [...this.indicesByProviderType.keys()];
+  }
+
+  /**
+   * Provider types behind a name
+   * @param {string} name - Commodity id (e.g. "grocery") or provider type (e.g. "supermarket")
+   * @returns {Array<string>} The entry's provider types for an id, otherwise the name itself
+   */
+  resolveProviderTypes(name) {
+    const entry = this.getEntry(name);
+    return entry ? entry.providerTypes : [name];
+  }
+
+  /**
+   * Entries a place counts toward, from the provider types it is stored under
+   * @param {Array<string>} providerTypes - Place commodityTypes
+   * @returns {Array<number>} Entry indices, once each (empty when none are in the catalog)
+   */
+  getTypeIndices(providerTypes) {
+    const indices = new Set();
+    (providerTypes || []).forEach((providerType) => {
+      (this.indicesByProviderType.get(providerType) || []).forEach((index) => indices.add(index));
+    });
+    return [...indices];
+  }
+
+  /**
+   * Weights array in catalog order
+   * @param {Object} weightsById - Weights (0-100) keyed by commodity id; missing ones use the default
+   * @returns {Array<number>} Weights clamped to 0-100 (0 when not a number)
+   */
+  toWeights(weightsById = {}) {
+    return this.entries.map((entry) => {
+      const value = weightsById[entry.id] ?? entry.defaultWeight;
+      const num = typeof value === "number" ? value : parseFloat(value);
+      return Number.isFinite(num) ? Math.max(0, Math.min(100, num)) : 0;
+    });
+  }
+
+  toJSON() {
+    return this.entries;
+  }
+}
+
+// Export for use in Node.js/module systems
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = CommodityCatalog;
+}
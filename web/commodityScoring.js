@@ -17,6 +17,7 @@
  *       centerLat,
  *       centerLng,
  *       commodityCounts: Array<number> // counts per commodity type (same ordering as weights)
+ *       qualityCounts: Array<number>   // optional: summed place contributions per type (see STEP 1B)
  *     }>
  * 
  * STEP 1: COMMODITY SCORING MULTIPLIER (Variance-Based Amplification)
@@ -26,11 +27,25 @@
  *   - Amplify weights based on distance from mean (outliers have stronger effect)
  *   - Return: amplified weight per commodity (same length as weights)
  * 
+ * STEP 1B: AMENITY QUALITY (Rating and Popularity)
+ *   Function: calculatePlaceContribution(place)
+ *   - Bayesian rating: (priorCount * priorRating + reviews * rating) / (priorCount + reviews),
+ *     so a few reviews barely move a place away from the prior and many reviews dominate it
+ *   - quality = Bayesian rating mapped from 1-5 to 0-1 (unrated places get the prior)
+ *   - contribution = 1 - qualityWeight/100 * (1 - quality)
+ *     → qualityWeight 0: every place counts 1 (raw quantity); 100: a place counts its quality
+ * 
  * STEP 2: BASE GRID SCORE (Single Grid, No Neighbors)
  *   Function: calculateGridScore(gridData, weights)
  *   - Apply variance-amplified weights (from Step 1)
- *   - Aggregate: sum(count_i * amplifiedWeight_i) across commodity types
- *   - Normalize by total commodity count to stay within 0-100
+ *   - "count" mode (default):
+ *     → Aggregate: sum(qualityCount_i * amplifiedWeight_i) across commodity types
+ *       (qualityCount_i: summed contributions of the type's places, count_i without qualityCounts)
+ *     → Normalize by total commodity count to stay within 0-100
+ *   - "distance" mode (calculateDistanceScore, needs addNearestDistances first):
+ *     → utility_i = average distance credit x contribution of the nearestK closest places of type i
+ *       (per-type utility curve: full credit up to fullCreditDistance, none past zeroCreditDistance)
+ *     → Aggregate: 100 * sum(utility_i * amplifiedWeight_i) / sum(amplifiedWeight_i)
  *   - Return: base score for this grid only
  * 
  * STEP 3: DISTANCE SCORING MULTIPLIER (Exponential Decay)
@@ -52,20 +67,131 @@
  * STEP 5: MAP-WIDE CALCULATION
  *   Function: calculateAllAggregatedScores(gridMap)
  *   - Compute base scores for all grids first (Step 2)
+ *   - Index grid centers in buckets of maxDistance (GridSpatialIndex), so each grid
+ *     only measures the distance to grids in its own and the 8 surrounding buckets
  *   - Then compute aggregated scores for all grids (Step 4)
- *   - Return: Array of all grid scores
+ *   - Return: Array of all grid scores (getHeatmapData and getSummary accept it)
  */
 
 // Method summary for CommodityScorer:
 // - calculateDistance: Haversine distance between two lat/lng points (meters)
 // - calculateScoreDecay: Exponential decay weight for a given distance
 // - calculateVarianceMultipliers: Amplify weights based on variance/outliers
+// - calculatePlaceContribution: How much one amenity counts, from its rating and review count
 // - calculateGridScore: Base score for a single grid using amplified weights
 // - calculateAllBaseScores: Precompute base scores for all grids
 // - calculateAggregatedScore: Neighbor-weighted score with distance decay
 // - calculateAllAggregatedScores: Aggregated scores for every grid
 // - getHeatmapData: Heatmap-ready payload of lat/lng/value per grid
 // - getSummary: Dataset-wide stats (avg, median, min, max, totals)
+// - GridSpatialIndex: Bucket grid of grid centers (or places) for lookups within a distance
+
+const EARTH_RADIUS = 6371000; // meters
+
+const SCORING_MODES = ["count", "distance"];
+
+// Distance credit of an amenity type without its own curve (distance mode)
+const DEFAULT_UTILITY_CURVE = { fullCreditDistance: 400, zeroCreditDistance: 2000 };
+
+// Bayesian prior of amenity ratings: an unrated place is rated `rating`, and a place
+// needs `reviewCount` reviews before its own rating weighs as much as the prior
+const DEFAULT_RATING_PRIOR = { rating: 3.5, reviewCount: 25 };
+
+/**
+ * Uniform bucket grid over grid centers (or places), with buckets at least maxDistance wide
+ *
+ * Every grid within maxDistance (haversine) of a point lies in the point's bucket or one
+ * of the 8 around it, so a lookup costs the size of those buckets instead of the whole
+ * map. Longitude buckets are sized for the highest latitude in the map and wrap around
+ * the antimeridian; close to the poles there is a single longitude column.
+ */
+class GridSpatialIndex {
+    /**
+     * @param {Map} gridMap - Map of gridId (or any point id) to { centerLat, centerLng }
+     * @param {number} maxDistance - Search distance in meters
+     */
+    constructor(gridMap, maxDistance) {
+        const angle = maxDistance / EARTH_RADIUS; // radians
+
+        let maxAbsLat = 0;
+        gridMap.forEach((grid) => {
+            if (Number.isFinite(grid.centerLat)) {
+                maxAbsLat = Math.max(maxAbsLat, Math.abs(grid.centerLat));
+            }
+        });
+
+        // Haversine bounds: |dLat| <= angle and sin(|dLng| / 2) <= sin(angle / 2) / cos(lat)
+        this.latStep = Math.max((angle * 180) / Math.PI, 1e-9);
+        const lngRatio =
+            Math.sin(angle / 2) / Math.cos((Math.min(maxAbsLat, 90) * Math.PI) / 180);
+        const lngSpan = lngRatio >= 1 ? 360 : (2 * Math.asin(lngRatio) * 180) / Math.PI;
+        // Whole number of columns so the wrap-around column is as wide as the others
+        const columns = Math.floor(360 / Math.max(lngSpan, 1e-9));
+        this.lngColumns = columns >= 3 ? columns : 1;
+        this.lngStep = 360 / this.lngColumns;
+
+        this.buckets = new Map();
+        // Grids without coordinates: candidates of every lookup, as in a full scan
+        this.unplaced = [];
+        let order = 0;
+        gridMap.forEach((grid, gridId) => {
+            const entry = { gridId, grid, order: order++ };
+            if (!Number.isFinite(grid.centerLat) || !Number.isFinite(grid.centerLng)) {
+                this.unplaced.push(entry);
+                return;
+            }
+            const key = this.getBucketKey(this.getRow(grid.centerLat), this.getColumn(grid.centerLng));
+            if (!this.buckets.has(key)) this.buckets.set(key, []);
+            this.buckets.get(key).push(entry);
+        });
+    }
+
+    getRow(lat) {
+        return Math.floor((lat + 90) / this.latStep);
+    }
+
+    getColumn(lng) {
+        const column = Math.floor((lng + 180) / this.lngStep);
+        return ((column % this.lngColumns) + this.lngColumns) % this.lngColumns;
+    }
+
+    getBucketKey(row, column) {
+        return `${row}:${column}`;
+    }
+
+    /**
+     * Grids that may lie within maxDistance of a point
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {Array<{gridId: string, grid: Object}>} Candidates in gridMap order (a superset: check the distance)
+     */
+    getCandidates(lat, lng) {
+        if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+            return [...this.buckets.values(), this.unplaced]
+                .flat()
+                .sort((a, b) => a.order - b.order);
+        }
+
+        const row = this.getRow(lat);
+        const column = this.getColumn(lng);
+        const columns = new Set(
+            this.lngColumns === 1
+                ? [0]
+                : [column - 1, column, column + 1].map(
+                      (c) => (c + this.lngColumns) % this.lngColumns
+                  )
+        );
+
+        const candidates = [...this.unplaced];
+        for (let r = row - 1; r <= row + 1; r++) {
+            columns.forEach((c) => {
+                const bucket = this.buckets.get(this.getBucketKey(r, c));
+                if (bucket) candidates.push(...bucket);
+            });
+        }
+        return candidates.sort((a, b) => a.order - b.order);
+    }
+}
 
 class CommodityScorer {
     /**
@@ -75,12 +201,19 @@ class CommodityScorer {
      * • calculateDistance(point1, point2) - Haversine distance between two lat/lng points (meters)
      * • calculateScoreDecay(distance) - Exponential decay factor (0-1) based on distance
      * • calculateVarianceMultipliers(weights) - Amplify outlier weights using z-score
+     * • calculateUtility(distance, curve) - Distance credit (0-1) of an amenity
+     * • calculatePlaceQuality(place) - Quality (0-1) from the Bayesian-adjusted rating
+     * • calculatePlaceContribution(place) - How much an amenity counts, between quality and 1
+     * • calculateQualityCounts(places, typeCount) - Summed contributions per commodity type
+     * • addNearestDistances(gridMap, places, typeCount) - Distances to the nearest amenities (distance mode)
      * • calculateGridScore(gridData, weights, amplifiedWeights) - Base score for single grid
+     * • calculateDistanceScore(gridData, weights, amplifiedWeights) - Base score from nearest amenities (distance mode)
      * • calculateAllBaseScores(gridMap, weights, amplifiedWeights) - Base scores for all grids
-     * • calculateAggregatedScore(targetGridId, gridMap, weights, baseScores, amplifiedWeights) - Score with neighbor influence
+     * • calculateAggregatedScore(targetGridId, gridMap, weights, baseScores, amplifiedWeights, spatialIndex) - Score with neighbor influence
+     * • createSpatialIndex(gridMap) - Bucket index of grid centers for neighbor lookups
      * • calculateAllAggregatedScores(gridMap, weights, baseScores, amplifiedWeights) - Aggregated scores for all grids
-     * • getHeatmapData(gridMap, weights) - Format grid scores for heatmap visualization
-     * • getSummary(gridMap, weights) - Statistical summary (mean, min, max, median)
+     * • getHeatmapData(gridMap, weights, scores) - Format grid scores for heatmap visualization
+     * • getSummary(gridMap, weights, scores) - Statistical summary (mean, min, max, median)
      */
 
     /**
@@ -88,11 +221,27 @@ class CommodityScorer {
      * @param {number} config.maxDistance   Maximum distance (m) to consider neighbors (default: 5000)
      * @param {number} config.decayFactor   Steepness of exponential score decay (default: 2, higher = steeper)
      * @param {number} config.varianceAmplification   How much to amplify outlier effects (default: 2)
+     * @param {string} config.mode   Base score model: "count" (amenities in the grid, default) or "distance" (nearest amenities)
+     * @param {number} config.nearestK   Distance mode: number of nearest amenities per type that earn credit (default: 3)
+     * @param {Array<Object>} config.utilityCurves   Distance mode: { fullCreditDistance, zeroCreditDistance } (m) per
+     *   commodity type, same ordering as weights (missing or null: 400 m / 2000 m)
+     * @param {number} config.qualityWeight   How much amenity quality matters versus quantity, 0-100 (default: 0,
+     *   every amenity counts the same)
+     * @param {Object} config.ratingPrior   Bayesian prior { rating, reviewCount } of amenity ratings (default: 3.5, 25)
      */
     constructor(config = {}) {
         this.maxDistance = config.maxDistance || 5000;
         this.decayFactor = config.decayFactor || 2;
         this.varianceAmplification = config.varianceAmplification || 1.5;
+        this.mode = config.mode || "count";
+        this.nearestK = config.nearestK || 3;
+        this.utilityCurves = config.utilityCurves || [];
+        this.qualityWeight = Math.max(0, Math.min(100, config.qualityWeight || 0));
+        this.ratingPrior = { ...DEFAULT_RATING_PRIOR, ...config.ratingPrior };
+
+        if (!SCORING_MODES.includes(this.mode)) {
+            throw new Error(`Unknown scoring mode: ${this.mode} (expected ${SCORING_MODES.join(" or ")})`);
+        }
     }
 
     /**
@@ -102,7 +251,7 @@ class CommodityScorer {
      * @returns {number} Distance in meters
      */
     calculateDistance(point1, point2) {
-        const R = 6371000; // Earth's radius in meters
+        const R = EARTH_RADIUS;
         const dLat = ((point2.lat - point1.lat) * Math.PI) / 180;
         const dLng = ((point2.lng - point1.lng) * Math.PI) / 180;
         const a =
@@ -166,15 +315,149 @@ class CommodityScorer {
         });
     }
 
+    /**
+     * Distance-utility curve of a commodity type (distance mode)
+     * @param {number} typeIndex - Commodity type index (same ordering as weights)
+     * @returns {{fullCreditDistance: number, zeroCreditDistance: number}} Curve (m)
+     */
+    getUtilityCurve(typeIndex) {
+        return this.utilityCurves[typeIndex] || DEFAULT_UTILITY_CURVE;
+    }
+
+    /**
+     * Farthest distance at which an amenity still earns credit (distance mode)
+     * Places up to this far outside the scored area change the scores of its edge grids.
+     * @param {number} typeCount - Number of commodity types
+     * @returns {number} Distance in meters
+     */
+    getMaxUtilityDistance(typeCount) {
+        let max = 0;
+        for (let i = 0; i < typeCount; i++) {
+            max = Math.max(max, this.getUtilityCurve(i).zeroCreditDistance);
+        }
+        return max;
+    }
+
+    /**
+     * Distance credit of an amenity: 1 up to fullCreditDistance, falling linearly to 0 at zeroCreditDistance
+     * @param {number} distance - Distance in meters
+     * @param {{fullCreditDistance: number, zeroCreditDistance: number}} curve - Utility curve
+     * @returns {number} Credit between 0 and 1
+     */
+    calculateUtility(distance, curve) {
+        if (distance <= curve.fullCreditDistance) return 1;
+        if (distance >= curve.zeroCreditDistance) return 0;
+        return (
+            (curve.zeroCreditDistance - distance) /
+            (curve.zeroCreditDistance - curve.fullCreditDistance)
+        );
+    }
+
+    /**
+     * STEP 1B: Quality of an amenity from its Bayesian-adjusted rating
+     * @param {Object} place - { rating (1-5), userRatingCount }; missing values count as no reviews
+     * @returns {number} Quality between 0 (1 star) and 1 (5 stars)
+     */
+    calculatePlaceQuality(place) {
+        const { rating: priorRating, reviewCount: priorCount } = this.ratingPrior;
+        let adjusted = priorRating;
+        if (place && Number.isFinite(place.rating)) {
+            // A rating without a review count still says something: count it as one review
+            const reviews = Math.max(Number.isFinite(place.userRatingCount) ? place.userRatingCount : 0, 1);
+            adjusted = (priorCount * priorRating + reviews * place.rating) / (priorCount + reviews);
+        }
+        return Math.max(0, Math.min(1, (adjusted - 1) / 4));
+    }
+
+    /**
+     * STEP 1B: How much one amenity counts toward its commodity type
+     * @param {Object} place - { rating, userRatingCount }
+     * @returns {number} 1 when qualityWeight is 0, the place quality when it is 100
+     */
+    calculatePlaceContribution(place) {
+        if (this.qualityWeight === 0) return 1;
+        return 1 - (this.qualityWeight / 100) * (1 - this.calculatePlaceQuality(place));
+    }
+
+    /**
+     * STEP 1B: Quality-weighted commodity counts of a grid
+     * @param {Array<{typeIndex: number, rating: number, userRatingCount: number}>} places - Amenities in the grid
+     * @param {number} typeCount - Number of commodity types
+     * @returns {Array<number>} Summed contributions per commodity type (same ordering as weights)
+     */
+    calculateQualityCounts(places, typeCount) {
+        const qualityCounts = new Array(typeCount).fill(0);
+        places.forEach((place) => {
+            if (place.typeIndex >= 0 && place.typeIndex < typeCount) {
+                qualityCounts[place.typeIndex] += this.calculatePlaceContribution(place);
+            }
+        });
+        return qualityCounts;
+    }
+
+    /**
+     * STEP 2 (distance mode): Find the nearest amenities of each type for every grid
+     * Sets, per commodity type, grid.nearestDistances: ascending distances (m) from the grid
+     * center to at most nearestK places within the type's zeroCreditDistance, and
+     * grid.nearestContributions: the contribution of each of those places
+     * @param {Map} gridMap - Map of all grids
+     * @param {Array<{lat: number, lng: number, typeIndex: number, rating: number, userRatingCount: number}>} places -
+     *   Amenities, inside and around the grids
+     * @param {number} typeCount - Number of commodity types
+     */
+    addNearestDistances(gridMap, places, typeCount) {
+        gridMap.forEach((grid) => {
+            grid.nearestDistances = Array.from({ length: typeCount }, () => []);
+            grid.nearestContributions = Array.from({ length: typeCount }, () => []);
+        });
+
+        for (let typeIndex = 0; typeIndex < typeCount; typeIndex++) {
+            const { zeroCreditDistance } = this.getUtilityCurve(typeIndex);
+            const typePlaces = new Map();
+            places.forEach((place, i) => {
+                if (place.typeIndex === typeIndex) {
+                    typePlaces.set(i, {
+                        centerLat: place.lat,
+                        centerLng: place.lng,
+                        contribution: this.calculatePlaceContribution(place),
+                    });
+                }
+            });
+            if (typePlaces.size === 0) continue;
+
+            // Only places within zeroCreditDistance earn credit
+            const index = new GridSpatialIndex(typePlaces, zeroCreditDistance);
+            gridMap.forEach((grid) => {
+                const center = { lat: grid.centerLat, lng: grid.centerLng };
+                const nearest = index
+                    .getCandidates(grid.centerLat, grid.centerLng)
+                    .map(({ grid: place }) => ({
+                        distance: this.calculateDistance(center, { lat: place.centerLat, lng: place.centerLng }),
+                        contribution: place.contribution,
+                    }))
+                    .filter(({ distance }) => distance <= zeroCreditDistance)
+                    .sort((a, b) => a.distance - b.distance)
+                    .slice(0, this.nearestK);
+                grid.nearestDistances[typeIndex] = nearest.map(({ distance }) => distance);
+                grid.nearestContributions[typeIndex] = nearest.map(({ contribution }) => contribution);
+            });
+        }
+    }
+
     /**
      * STEP 2: Calculate base score for a single grid (no neighbor influence)
      * @param {Object} gridData - Grid data with commodities: { commodities: Array<{ weight: 0-100 }> }
      * @returns {number} Base score (0-100)
      */
     calculateGridScore(gridData, weights, amplifiedWeightsInput) {
+        if (this.mode === "distance") {
+            return this.calculateDistanceScore(gridData, weights, amplifiedWeightsInput);
+        }
         if (!gridData || !Array.isArray(gridData.commodityCounts)) return 0;
         const counts = gridData.commodityCounts;
         if (!weights || weights.length === 0 || counts.length === 0) return 0;
+        // Low-rated places add less weighted value than they add to the count
+        const qualityCounts = gridData.qualityCounts || counts;
 
         // Use provided amplified weights or compute once
         const amplifiedWeights =
@@ -186,7 +469,7 @@ class CommodityScorer {
 
         for (let i = 0; i < len; i++) {
             const count = counts[i] || 0;
-            totalWeighted += count * amplifiedWeights[i];
+            totalWeighted += (qualityCounts[i] || 0) * amplifiedWeights[i];
             totalCount += count;
         }
 
@@ -197,6 +480,39 @@ class CommodityScorer {
         return Math.max(0, Math.min(100, averageScore));
     }
 
+    /**
+     * STEP 2 (distance mode): Base score from the distance to the nearest amenities
+     * A type's utility is the average credit of its nearestK closest places, each scaled by
+     * its contribution (missing places earn none); the score is the amplified-weight average
+     * of the utilities, scaled to 0-100.
+     * @param {Object} gridData - Grid data with nearestDistances (see addNearestDistances)
+     * @returns {number} Base score (0-100)
+     */
+    calculateDistanceScore(gridData, weights, amplifiedWeightsInput) {
+        if (!gridData || !Array.isArray(gridData.nearestDistances)) return 0;
+        if (!weights || weights.length === 0) return 0;
+
+        const amplifiedWeights =
+            amplifiedWeightsInput || this.calculateVarianceMultipliers(weights);
+
+        let totalWeighted = 0;
+        let totalWeight = 0;
+        amplifiedWeights.forEach((weight, i) => {
+            const curve = this.getUtilityCurve(i);
+            const contributions = (gridData.nearestContributions || [])[i] || [];
+            const credit = (gridData.nearestDistances[i] || []).reduce(
+                (sum, distance, k) =>
+                    sum + this.calculateUtility(distance, curve) * (contributions[k] ?? 1),
+                0
+            );
+            totalWeighted += (credit / this.nearestK) * weight;
+            totalWeight += weight;
+        });
+
+        if (totalWeight === 0) return 0;
+        return Math.max(0, Math.min(100, (totalWeighted / totalWeight) * 100));
+    }
+
     /**
      * STEP 2B: Precompute base scores for all grids (no neighbor influence)
      * @param {Map} gridMap - Map of all grids
@@ -217,9 +533,10 @@ class CommodityScorer {
      * @param {string} targetGridId - ID of the target grid
      * @param {Map} gridMap - Map of all grids
      * @param {Map} baseScores - Precomputed base scores (optional)
+     * @param {GridSpatialIndex} spatialIndex - Index of gridMap (optional: without it every grid is measured)
      * @returns {Object} Aggregated score data
      */
-    calculateAggregatedScore(targetGridId, gridMap, weights, baseScores, amplifiedWeightsInput) {
+    calculateAggregatedScore(targetGridId, gridMap, weights, baseScores, amplifiedWeightsInput, spatialIndex) {
         const target = gridMap.get(targetGridId);
         if (!target) {
             return {
@@ -241,8 +558,11 @@ class CommodityScorer {
         let totalWeight = 0;
         const breakdown = [];
 
-        // Iterate through all grids and calculate their contribution
-        gridMap.forEach((grid, gridId) => {
+        // Iterate through the grids in range and calculate their contribution
+        const candidates = spatialIndex
+            ? spatialIndex.getCandidates(target.centerLat, target.centerLng)
+            : Array.from(gridMap, ([gridId, grid]) => ({ gridId, grid }));
+        candidates.forEach(({ gridId, grid }) => {
             const distance = this.calculateDistance(
                 { lat: target.centerLat, lng: target.centerLng },
                 { lat: grid.centerLat, lng: grid.centerLng }
@@ -282,6 +602,15 @@ class CommodityScorer {
         };
     }
 
+    /**
+     * Index grid centers for neighbor lookups within maxDistance
+     * @param {Map} gridMap - Map of all grids
+     * @returns {GridSpatialIndex} Index to pass to calculateAggregatedScore
+     */
+    createSpatialIndex(gridMap) {
+        return new GridSpatialIndex(gridMap, this.maxDistance);
+    }
+
     /**
      * STEP 5: Calculate aggregated scores for all grids
      * @param {Map} gridMap - Map of all grids
@@ -293,6 +622,7 @@ class CommodityScorer {
             amplifiedWeightsInput || this.calculateVarianceMultipliers(weights);
         const resolvedBase =
             baseScores || this.calculateAllBaseScores(gridMap, weights, resolvedAmplified);
+        const spatialIndex = this.createSpatialIndex(gridMap);
         const results = [];
         gridMap.forEach((_, gridId) => {
             results.push(
@@ -301,7 +631,8 @@ class CommodityScorer {
                     gridMap,
                     weights,
                     resolvedBase,
-                    resolvedAmplified
+                    resolvedAmplified,
+                    spatialIndex
                 )
             );
         });
@@ -311,18 +642,12 @@ class CommodityScorer {
     /**
      * Get heatmap-ready data for visualization
      * @param {Map} gridMap - Map of all grids
+     * @param {Array} scores - Result of calculateAllAggregatedScores for gridMap and weights (optional)
      * @returns {Array} Array of grid points with scores
      */
-    getHeatmapData(gridMap, weights) {
-        const amplified = this.calculateVarianceMultipliers(weights);
-        const baseScores = this.calculateAllBaseScores(gridMap, weights, amplified);
-        const scores = this.calculateAllAggregatedScores(
-            gridMap,
-            weights,
-            baseScores,
-            amplified
-        );
-        return scores.map((scoreData) => {
+    getHeatmapData(gridMap, weights, scores) {
+        const resolvedScores = scores || this.calculateAllAggregatedScores(gridMap, weights);
+        return resolvedScores.map((scoreData) => {
             const grid = gridMap.get(scoreData.gridId);
             return {
                 lat: grid.centerLat,
@@ -338,17 +663,11 @@ class CommodityScorer {
     /**
      * Get statistical summary of all grids
      * @param {Map} gridMap - Map of all grids
+     * @param {Array} scores - Result of calculateAllAggregatedScores for gridMap and weights (optional)
      * @returns {Object} Summary statistics
      */
-    getSummary(gridMap, weights) {
-        const amplified = this.calculateVarianceMultipliers(weights);
-        const baseScores = this.calculateAllBaseScores(gridMap, weights, amplified);
-        const allScores = this.calculateAllAggregatedScores(
-            gridMap,
-            weights,
-            baseScores,
-            amplified
-        );
+    getSummary(gridMap, weights, scores) {
+        const allScores = scores || this.calculateAllAggregatedScores(gridMap, weights);
         const aggregated = allScores.map((s) => s.aggregatedScore);
 
         if (aggregated.length === 0) {
@@ -381,8 +700,8 @@ class CommodityScorer {
                     (aggregated.reduce((a, b) => a + b, 0) / aggregated.length) *
                         100
                 ) / 100,
-            maxScore: Math.round(Math.max(...aggregated) * 100) / 100,
-            minScore: Math.round(Math.min(...aggregated) * 100) / 100,
+            maxScore: Math.round(sorted[sorted.length - 1] * 100) / 100,
+            minScore: Math.round(sorted[0] * 100) / 100,
             medianScore: Math.round(median * 100) / 100,
         };
     }
@@ -391,6 +710,8 @@ class CommodityScorer {
 // Export for use in Node.js/module systems
 if (typeof module !== "undefined" && module.exports) {
     module.exports = CommodityScorer;
+    module.exports.GridSpatialIndex = GridSpatialIndex;
+    module.exports.SCORING_MODES = SCORING_MODES;
 }
 
 // ============================================================================
@@ -616,7 +937,7 @@ function testCommodityScoring() {
     // STEP 4: Get heatmap data
     console.log("STEP 4: HEATMAP DATA (For visualization)");
     console.log("-".repeat(80));
-    const heatmapData = scorer.getHeatmapData(gridMap, weights);
+    const heatmapData = scorer.getHeatmapData(gridMap, weights, aggregatedScores);
     heatmapData.slice(0, 3).forEach((point) => {
         console.log(
             `Lat: ${point.lat.toFixed(4)}, Lng: ${point.lng.toFixed(4)} | Score: ${point.value.toFixed(2)} | Commodities: ${point.commodityCount}`
@@ -627,7 +948,7 @@ function testCommodityScoring() {
     // STEP 5: Summary statistics
     console.log("STEP 5: SUMMARY STATISTICS");
     console.log("-".repeat(80));
-    const summary = scorer.getSummary(gridMap, weights);
+    const summary = scorer.getSummary(gridMap, weights, aggregatedScores);
     console.log(`Total Grids: ${summary.totalGrids}`);
     console.log(`Total Commodities: ${summary.totalCommodities}`);
     console.log(`Average Score: ${summary.averageScore}`);
@@ -19,6 +19,104 @@ const MAP_CONFIG = {
   mapId: "DEMO_MAP_ID",
 };
 
+const SCORER_CONFIG = {
+  maxDistance: 5000,
+  decayFactor: 2,
+  varianceAmplification: 2,
+  nearestK: 3, // Distance mode: nearest places per commodity type credited to a cell
+  qualityWeight: 50, // Default of how much place ratings matter versus counts (0-100)
+};
+
+/**
+ * Rejection of a scoring run that was cancelled or replaced by a newer run
+ */
+class ScoringCancelledError extends Error {
+  constructor(runId) {
+    super(`Scoring run ${runId} cancelled`);
+    this.name = "ScoringCancelledError";
+    this.runId = runId;
+  }
+}
+
+/**
+ * Scoring Worker Client
+ * Runs scoring in web/scoringWorker.js; starting a run cancels the one in progress
+ */
+class ScoringWorkerClient {
+  /**
+   * @param {string} scriptUrl - URL of the worker script
+   */
+  constructor(scriptUrl = "./scoringWorker.js") {
+    this.worker = new Worker(scriptUrl);
+    this.nextRunId = 1;
+    // { runId, onProgress, resolve, reject, cells } of the run in progress
+    this.activeRun = null;
+
+    this.worker.addEventListener("message", (e) => this.handleMessage(e.data));
+    this.worker.addEventListener("error", (e) => {
+      e.preventDefault();
+      this.finishRun(null, new Error(e.message || "Scoring worker failed"));
+    });
+  }
+
+  /**
+   * Score a grid in the worker
+   * @param {Object} job - { gridSize, gridBounds, entries, typeCount, weights, scorerConfig }
+   * @param {Function} onProgress - (cells, completed, total) => void, called as batches of cells finish
+   * @returns {Promise<Array<Object>>} Scores of every cell by cell index: { cellIndex, commodityCounts,
+   *   baseScore, aggregatedScore, contributingGrids }. Rejects with ScoringCancelledError when cancelled.
+   */
+  score(job, onProgress) {
+    this.cancel();
+    const runId = this.nextRunId++;
+
+    return new Promise((resolve, reject) => {
+      this.activeRun = { runId, onProgress, resolve, reject, cells: [] };
+      this.worker.postMessage({ type: "score", runId, ...job });
+    });
+  }
+
+  /**
+   * Cancel the run in progress, if any
+   */
+  cancel() {
+    if (!this.activeRun) return;
+    const { runId } = this.activeRun;
+    this.worker.postMessage({ type: "cancel", runId });
+    this.finishRun(null, new ScoringCancelledError(runId));
+  }
+
+  /**
+   * Settle the run in progress
+   * @param {Array|null} cells - Result (when error is null)
+   * @param {Error|null} error - Rejection reason
+   */
+  finishRun(cells, error) {
+    const run = this.activeRun;
+    if (!run) return;
+    this.activeRun = null;
+    if (error) run.reject(error);
+    else run.resolve(cells);
+  }
+
+  handleMessage(message) {
+    const run = this.activeRun;
+    // Late messages of cancelled runs
+    if (!run || message.runId !== run.runId) return;
+
+    if (message.type === "progress") {
+      message.cells.forEach((cellScore) => {
+        run.cells[cellScore.cellIndex] = cellScore;
+      });
+      if (run.onProgress) run.onProgress(message.cells, message.completed, message.total);
+    } else if (message.type === "complete") {
+      this.finishRun(run.cells, null);
+    } else if (message.type === "error") {
+      this.finishRun(null, new Error(message.message));
+    }
+  }
+}
+
 class Commodity {
   /**
    * @param {Object} placeData - Raw place data from Google Places API
@@ -34,7 +132,12 @@ class Commodity {
     this.formattedAddress =
       placeData.formattedAddress || "No address available";
     this.placeType = placeType;
+    this.commodityTypes = placeData.commodityTypes || [this.primaryType];
     this.id = placeData.id || null;
+    this.rating = placeData.rating ?? null;
+    this.userRatingCount = placeData.userRatingCount ?? null;
+    this.priceLevel = placeData.priceLevel ?? null;
+    this.businessStatus = placeData.businessStatus ?? null;
   }
 
   /**
@@ -49,6 +152,8 @@ class Commodity {
         address: this.formattedAddress,
         primaryType: this.primaryType,
         placeType: this.placeType,
+        rating: this.rating,
+        userRatingCount: this.userRatingCount,
         value: this.commodityScore,
       },
       geometry: {
@@ -70,6 +175,10 @@ class Commodity {
       location: this.location,
       formattedAddress: this.formattedAddress,
       placeType: this.placeType,
+      rating: this.rating,
+      userRatingCount: this.userRatingCount,
+      priceLevel: this.priceLevel,
+      businessStatus: this.businessStatus,
       commodityScore: this.commodityScore,
     };
   }
@@ -142,6 +251,7 @@ class CommoditiesManager {
           properties: {
             name: place.displayName || "Unknown",
             address: place.formattedAddress || "",
+            rating: place.rating ?? null,
             value: Math.floor(Math.random() * 100), // Mock commodity value (0-100)
           },
           geometry: {
@@ -172,6 +282,10 @@ class MapManagerSingleton {
     // Deck.GL overlay instance
     // Deck.GL is an container for layers that can be added to the props of the overlay
     this.deckGLInstance = null;
+    // Commodity types users weigh (CommodityCatalog, loaded from the server)
+    this.commodityCatalog = null;
+    // Scoring runs off the main thread (created on first use)
+    this.scoringWorker = null;
   }
 
   /**
@@ -262,30 +376,13 @@ class MapManagerSingleton {
     const ne = bounds.getNorthEast();
     const sw = bounds.getSouthWest();
 
-    const latDiff = ne.lat() - sw.lat();
-    const lngDiff = ne.lng() - sw.lng();
-
-    const latStep = latDiff / gridSize;
-    const lngStep = lngDiff / gridSize;
-
-    const cells = [];
-
-    for (let row = 0; row < gridSize; row++) {
-      for (let col = 0; col < gridSize; col++) {
-        cells.push({
-          ne: {
-            lat: ne.lat() - row * latStep,
-            lng: sw.lng() + (col + 1) * lngStep,
-          },
-          sw: {
-            lat: ne.lat() - (row + 1) * latStep,
-            lng: sw.lng() + col * lngStep,
-          },
-        });
-      }
-    }
-
-    return cells;
+    return ScoringMap.toGridBounds(
+      {
+        ne: { lat: ne.lat(), lng: ne.lng() },
+        sw: { lat: sw.lat(), lng: sw.lng() },
+      },
+      gridSize,
+    );
   }
 
 
@@ -293,9 +390,11 @@ class MapManagerSingleton {
    * Fetch nearby commodities for the current map bounds
    * @async
    * @param {string[]} [commodityTypes] - Filter by type (e.g., ['restaurant', 'gas_station'])
+   * @param {Object} [options]
+   * @param {number} [options.margin=0] - Meters to fetch past the view (places near its edge)
    * @returns {Promise<Commodity[]>} Array of Commodity objects with location and metadata
    */
-  async getCommodities(commodityTypes) {
+  async getCommodities(commodityTypes, { margin = 0 } = {}) {
     try {
 
 
@@ -315,7 +414,7 @@ class MapManagerSingleton {
       // Calculate minimum radius to scan to span the entire view
       const { spherical } = await google.maps.importLibrary("geometry");
       const diameter = spherical.computeDistanceBetween(ne, sw);
-      const radius = Math.min(diameter / 2, 50000);
+      const radius = Math.min(diameter / 2 + margin, 50000);
 
       // Build query string with commodity types
       const typeParams = commodityTypes && commodityTypes.length > 0
@@ -334,6 +433,12 @@ class MapManagerSingleton {
 
       const data = await response.json();
       const places = data.places || [];
+      if (data.cacheOnly) {
+        console.warn("Places API unavailable or over budget: showing cached places only");
+      }
+      Object.entries(data.status || {})
+        .filter(([, status]) => status !== "complete")
+        .forEach(([type, status]) => console.warn(`${type}: ${status} results`));
 
       // Convert to Commodity objects
       const commodities = places
@@ -345,12 +450,17 @@ class MapManagerSingleton {
             {
               id: place._id,
               primaryType: place.commodityTypes?.[0] || "unknown",
+              commodityTypes: place.commodityTypes,
               displayName: place.displayName || "Unknown",
               location: {
                 lat: () => place.location.coordinates[1],
                 lng: () => place.location.coordinates[0],
               },
               formattedAddress: place.formattedAddress || "",
+              rating: place.rating,
+              userRatingCount: place.userRatingCount,
+              priceLevel: place.priceLevel,
+              businessStatus: place.businessStatus,
             },
             place.commodityTypes?.[0] || "unknown"
           )
@@ -363,6 +473,22 @@ class MapManagerSingleton {
     }
   }
 
+  /**
+   * Load the commodity catalog that drives the sliders, weights and cell binning
+   * @async
+   * @returns {Promise<CommodityCatalog>} Catalog served by /api/commodity-types
+   */
+  async loadCommodityCatalog() {
+    const response = await fetch("/api/commodity-types");
+    if (!response.ok) {
+      throw new Error(`API error: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    this.commodityCatalog = new CommodityCatalog(data.types);
+    return this.commodityCatalog;
+  }
+
   /**
    * Generate mock rated cells data for testing
    * Each cell gets a random score between 0-100
@@ -503,15 +629,13 @@ class MapManagerSingleton {
   //   }
   // }
 
-  // /**
-  //  * Create heatmap layer from backend cell ratings
-  //  * @param {Array} ratedCells - From backend: [{cellIndex: 0, rating: 85}, ...]
-  //  * @param {number} gridSize - Grid dimension (default 4)
-  //  */
-  createHeatmapFromCells(ratedCells, gridSize) {
-    // get all cell boundaries
-    const cells = this.toGrid(gridSize);
-
+  /**
+   * Create heatmap layer from backend cell ratings
+   * @param {Array} ratedCells - From backend: [{cellIndex: 0, rating: 85}, ...]
+   * @param {number} gridSize - Grid dimension (default 4)
+   * @param {Array} cells - Cell bounds the ratings refer to (default: the current view)
+   */
+  createHeatmapFromCells(ratedCells, gridSize, cells = this.toGrid(gridSize)) {
     // convert go geojson polygons
     const features = ratedCells.map((ratedCell) => {
       const cell = cells[ratedCell.cellIndex];
@@ -577,14 +701,50 @@ class MapManagerSingleton {
    * Commodities data are already loaded at this point, only initialize the overlay
    */
 
+  /**
+   * Get the scoring worker client, creating the worker on first use
+   * @returns {ScoringWorkerClient}
+   */
+  getScoringWorker() {
+    if (!this.scoringWorker) {
+      this.scoringWorker = new ScoringWorkerClient();
+    }
+    return this.scoringWorker;
+  }
+
   /**
    * Initialize the scoring map with cells and commodities
+   * Binning and scoring run in the scoring worker; the heatmap fills in as cells are scored.
+   * Starting another run cancels this one (it then resolves to null).
    * @param {number} gridSize - Number of grid divisions (e.g., 3 for 3x3)
-   * @param {Array<number>} weights - Commodity weights (must be array of 5)
-   * @returns {Promise<Map>} Initialized Map instance with scores
+   * @param {Array<number>} weights - Commodity weights, one per catalog type (defaults from the catalog)
+   * @param {Object} [options]
+   * @param {string} [options.mode="count"] - Scoring mode: "count" (places in each cell) or "distance" (nearest places)
+   * @param {number} [options.qualityWeight] - How much place ratings matter versus counts (0-100)
+   * @returns {Promise<Map>} Initialized Map instance with scores (null if cancelled or failed)
    */
-  async initializeScoringMap(gridSize = 3, weights = [85, 60, 40, 70, 90]) {
+  async initializeScoringMap(
+    gridSize = 3,
+    weights,
+    { mode = "count", qualityWeight = SCORER_CONFIG.qualityWeight } = {},
+  ) {
+    // Newer runs take over while this one is still fetching places
+    const run = (this.scoringRun = (this.scoringRun || 0) + 1);
+    this.getScoringWorker().cancel();
+    showLoading();
+
     try {
+      if (!this.commodityCatalog) {
+        throw new Error("Commodity catalog not loaded");
+      }
+      weights = weights || this.commodityCatalog.getDefaultWeights();
+      const scorerConfig = {
+        ...SCORER_CONFIG,
+        mode,
+        qualityWeight,
+        utilityCurves: this.commodityCatalog.getUtilityCurves(),
+      };
+
       // 1. Create ScoringMap instance
       const scoringMap = new ScoringMap();
       scoringMap.setGridSize(gridSize);
@@ -594,98 +754,71 @@ class MapManagerSingleton {
       const gridCells = this.toGrid(gridSize);
 
       // 3. Get commodities from Google Places API
-      const commodities = await this.getCommodities();
+      // Distance mode also credits places just outside the view
+      const margin =
+        mode === "distance"
+          ? new CommodityScorer(scorerConfig).getMaxUtilityDistance(weights.length)
+          : 0;
+      const commodities = await this.getCommodities(undefined, { margin });
       console.log(`Fetched ${commodities.length} commodities`);
+      if (run !== this.scoringRun) {
+        throw new ScoringCancelledError(run);
+      }
 
-      // Commodity type mapping
-      const typeIndexMap = {
-        'restaurant': 0,
-        'gas_station': 1,
-        'supermarket': 2,
-        'pharmacy': 3,
-        'school': 4
-      };
-
-      // 4. Create and populate cell objects
-      console.log('\n=== POPULATING CELLS ===');
-      gridCells.forEach((cellBounds, index) => {
-        const cellObj = new cell();
-
-        // Set cell coordinates from grid bounds
-        cellObj.setCoords({
-          topright: [cellBounds.ne.lng, cellBounds.ne.lat],
-          bottomleft: [cellBounds.sw.lng, cellBounds.sw.lat]
-        });
-        cellObj.setPosition(index);
-
-        // Initialize commodity counts array [restaurant, gas, grocery, pharmacy, school]
-        const commodityCounts = [0, 0, 0, 0, 0];
-
-        // Count commodities in this cell by type
-        commodities.forEach(commodity => {
-          const lat = commodity.location.lat;
-          const lng = commodity.location.lng;
-
-          // Check if commodity is within cell bounds
-          if (
-            lat >= cellBounds.sw.lat &&
-            lat <= cellBounds.ne.lat &&
-            lng >= cellBounds.sw.lng &&
-            lng <= cellBounds.ne.lng
-          ) {
-            // Map primaryType to index and increment count
-            const typeIndex = typeIndexMap[commodity.primaryType];
-            if (typeIndex !== undefined) {
-              commodityCounts[typeIndex]++;
-            }
-          }
-        });
-
-        // Store commodity counts in cell (ensure all 5 positions are filled with 0s)
-        commodityCounts.forEach((count, typeIndex) => {
-          cellObj.setCommodities(count, typeIndex);
-        });
-
-        // Add cell to map
-        scoringMap.addCell(cellObj, index);
-
-        // Log stored data for verification
-        console.log(`Cell ${index} stored:`, {
-          position: cellObj.getPosition(),
-          commodityCounts: cellObj.getCommodities(),
-          coords: cellObj.getCoords(),
-        });
-      });
-
-      console.log("\n=== MAP POPULATED ===");
-      console.log("Total cells in map:", scoringMap.getGrid().length);
-
-      // 5. Send to scorer for processing
-      console.log("\n=== SENDING TO SCORER ===");
-      const scorer = new CommodityScorer({
-        maxDistance: 5000,
-        decayFactor: 2,
-        varianceAmplification: 2,
+      // 4. Tag places with their commodity indices (cells are counted in the worker)
+      // A place serving several categories counts toward each of them
+      const entries = commodities.flatMap((commodity) => {
+        const place = {
+          location: commodity.location,
+          rating: commodity.rating,
+          userRatingCount: commodity.userRatingCount,
+        };
+        return this.commodityCatalog
+          .getTypeIndices(commodity.commodityTypes)
+          .map((typeIndex) => ({ place, typeIndex }));
       });
+      scoringMap.populate(gridCells, [], weights.length);
+
+      // 5. Send to scorer for processing, painting cells as they are scored
+      const ratedCells = [];
+      await this.getScoringWorker().score(
+        {
+          gridSize,
+          gridBounds: gridCells,
+          entries,
+          typeCount: weights.length,
+          weights,
+          scorerConfig,
+        },
+        (cells, completed, total) => {
+          cells.forEach((cellScore) => {
+            const cellObj = scoringMap.getCell(cellScore.cellIndex);
+            cellScore.commodityCounts.forEach((count, typeIndex) => {
+              cellObj.setCommodities(count, typeIndex);
+            });
+            cellObj.setScore(cellScore.baseScore);
+            cellObj.setAggregatedScore(cellScore.aggregatedScore);
+            ratedCells.push({ cellIndex: cellScore.cellIndex, rating: cellScore.aggregatedScore });
+          });
+          this.createHeatmapFromCells(ratedCells, gridSize, gridCells);
+          setLoadingText(`Scoring cells... ${Math.round((completed / total) * 100)}%`);
+        },
+      );
 
-      console.log("Weights being used:", scoringMap.getWeight());
-      const scores = scoringMap.calculateScores(scorer);
       console.log(`\n=== SCORING COMPLETE ===`);
-      console.log(`Processed ${scores.length} cells`);
-      console.log(scores);
-      console.log("\nScores after calculation:");
-      scores.forEach((scoreData, index) => {
-        console.log(
-          `${scoreData.gridId}: Base=${scoreData.baseScore}, Aggregated=${scoreData.aggregatedScore}`,
-        );
-      });
-
+      console.log(`Processed ${ratedCells.length} cells`);
       console.log("\nAll scores from map:", scoringMap.getAllScores());
 
       // 6. Return scored map to main.js
+      hideLoading();
       return scoringMap;
     } catch (error) {
+      if (error instanceof ScoringCancelledError) {
+        // The newer run owns the loading overlay
+        return null;
+      }
       console.error("Error initializing scoring map:", error);
+      hideLoading();
       return null;
     }
   }
@@ -867,20 +1000,16 @@ if (document.readyState === "loading") {
   initialize();
 }
 
-// Update slider value displays on input
+// Build the weight sliders from the commodity catalog
 document.addEventListener("DOMContentLoaded", () => {
-  const sliders = document.querySelectorAll('input[type="range"]');
-
-  sliders.forEach((slider) => {
-    const valueDisplay = document.getElementById(
-      slider.id.replace("-slider", "-value"),
-    );
-
-    if (valueDisplay) {
-      slider.addEventListener("input", (e) => {
-        valueDisplay.textContent = e.target.value;
-      });
-    }
+  MapManager.loadCommodityCatalog()
+    .then(renderCommodityInputs)
+    .catch((error) => console.error("Error loading commodity types:", error));
+
+  const qualitySlider = document.getElementById("quality-slider");
+  const qualityValue = document.getElementById("quality-value");
+  qualitySlider.addEventListener("input", (e) => {
+    qualityValue.textContent = e.target.value;
   });
 
   // Handle form hide/show functionality
@@ -902,19 +1031,20 @@ document.addEventListener("DOMContentLoaded", () => {
   form.addEventListener("submit", async (e) => {
     e.preventDefault();
 
-    // Get weights from form sliders
-    const weights = [
-      parseFloat(document.getElementById('restaurant-value')?.textContent || 85),
-      parseFloat(document.getElementById('gas-value')?.textContent || 60),
-      parseFloat(document.getElementById('grocery-value')?.textContent || 40),
-      parseFloat(document.getElementById('pharmacy-value')?.textContent || 70),
-      parseFloat(document.getElementById('school-value')?.textContent || 90)
-    ];
+    if (!MapManager.commodityCatalog) {
+      console.error("Commodity types are not loaded yet");
+      return;
+    }
+
+    // Get weights from form sliders, in catalog order
+    const weights = MapManager.commodityCatalog.toWeights(getCommodityPreferences());
+    const mode = document.getElementById("scoring-mode").value;
+    const qualityWeight = parseInt(document.getElementById("quality-slider").value, 10);
 
     console.log('Weights from form:', weights);
 
-    // Data flow: main.js → Map class → CommodityScorer → Map class → main.js
-    const scoringMap = await MapManager.initializeScoringMap(3, weights);
+    // Data flow: main.js → Map class → scoring worker (CommodityScorer) → Map class → main.js
+    const scoringMap = await MapManager.initializeScoringMap(3, weights, { mode, qualityWeight });
 
     if (scoringMap) {
       console.log('\n=== SCORING MAP COMPLETE ===');
@@ -972,18 +1102,57 @@ document.addEventListener("DOMContentLoaded", () => {
   });
 });
 
+/**
+ * Render one weight slider per commodity type, starting at its default weight
+ * @param {CommodityCatalog} catalog - Commodity catalog
+ */
+function renderCommodityInputs(catalog) {
+  const container = document.getElementById("commodity-inputs");
+  container.replaceChildren();
+
+  catalog.getEntries().forEach((commodity) => {
+    const wrapper = document.createElement("div");
+    wrapper.className = "commodity-input";
+
+    const label = document.createElement("label");
+    label.htmlFor = `${commodity.id}-slider`;
+    label.textContent = `${commodity.icon ? `${commodity.icon} ` : ""}${commodity.label} (0-100):`;
+
+    const slider = document.createElement("input");
+    slider.type = "range";
+    slider.id = `${commodity.id}-slider`;
+    slider.name = commodity.id;
+    slider.min = "0";
+    slider.max = "100";
+    slider.value = String(commodity.defaultWeight);
+
+    const valueDisplay = document.createElement("span");
+    valueDisplay.className = "value-display";
+    valueDisplay.id = `${commodity.id}-value`;
+    valueDisplay.textContent = slider.value;
+
+    // Update slider value display on input
+    slider.addEventListener("input", (e) => {
+      valueDisplay.textContent = e.target.value;
+    });
+
+    wrapper.append(label, slider, valueDisplay);
+    container.appendChild(wrapper);
+  });
+}
+
 /**
  * Get commodity preference values from the form
- * @returns {Object} Key-value pairs where key is commodity type and value is the slider value (0-100)
+ * @returns {Object} Key-value pairs where key is commodity id and value is the slider value (0-100)
  */
 function getCommodityPreferences() {
-  const form = document.getElementById("input-form");
-  const sliders = form.querySelectorAll('input[type="range"]');
+  const container = document.getElementById("commodity-inputs");
+  const sliders = container.querySelectorAll('input[type="range"]');
 
   const preferences = {};
 
   sliders.forEach((slider) => {
-    const commodityType = slider.name; // e.g., "restaurant", "gas_station", etc.
+    const commodityType = slider.name; // Commodity id, e.g. "restaurant", "gas"
     const value = parseInt(slider.value, 10);
     preferences[commodityType] = value;
   });
@@ -997,10 +1166,22 @@ function getCommodityPreferences() {
 function showLoading() {
   const loadingOverlay = document.getElementById("loading-overlay");
   if (loadingOverlay) {
+    setLoadingText("Updating Map...");
     loadingOverlay.style.display = "flex";
   }
 }
 
+/**
+ * Set the message under the loading spinner
+ * @param {string} text - Message
+ */
+function setLoadingText(text) {
+  const loadingText = document.querySelector("#loading-overlay .loading-text");
+  if (loadingText) {
+    loadingText.textContent = text;
+  }
+}
+
 /**
  * Hide loading overlay
  */
@@ -0,0 +1,107 @@
+/**
+ * Scoring Worker: runs binning and CommodityScorer off the main thread
+ *
+ * Messages in:
+ *   { type: "score", runId, gridSize, gridBounds, entries, typeCount, weights, scorerConfig }
+ *     gridBounds: cell bounds from ScoringMap.toGridBounds
+ *     entries: [{ place: { location: {lat, lng} }, typeIndex }] (see ScoringMap.populate)
+ *     scorerConfig: CommodityScorer config, including mode ("count" or "distance")
+ *     A new run replaces the one in progress.
+ *   { type: "cancel", runId }
+ *
+ * Messages out (each carries the runId it belongs to):
+ *   { type: "progress", runId, cells, completed, total } as batches of cells finish
+ *     cells: [{ cellIndex, commodityCounts, baseScore, aggregatedScore, contributingGrids }]
+ *   { type: "complete", runId, total }
+ *   { type: "error", runId, message }
+ * A replaced or cancelled run stops at its next batch without a final message.
+ */
+importScripts("./CalculateScore.js", "./commodityScoring.js");
+
+// Longest stretch of scoring between two progress messages (and cancellation checks)
+const SLICE_MS = 50;
+
+// Run being scored (null when idle or cancelled)
+let currentRunId = null;
+
+/**
+ * Let queued messages (cancel, newer runs) in before continuing
+ * @returns {Promise<void>}
+ */
+function yieldToMessages() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+/**
+ * Score a grid, posting cell scores in batches
+ * @param {Object} message - "score" message
+ */
+async function score(message) {
+  const { runId, gridSize, gridBounds, entries, typeCount, weights, scorerConfig } = message;
+
+  // 1. Bin places into cells
+  const scoringMap = new ScoringMap();
+  scoringMap.setGridSize(gridSize);
+  scoringMap.setWeight(weights);
+  scoringMap.populate(gridBounds, entries, typeCount);
+  await yieldToMessages();
+  if (runId !== currentRunId) return;
+
+  // 2. Base scores and neighbor index for the whole grid
+  const scorer = new CommodityScorer(scorerConfig);
+  const gridMap = scoringMap.toGridMap(scorer);
+  const amplified = scorer.calculateVarianceMultipliers(weights);
+  const baseScores = scorer.calculateAllBaseScores(gridMap, weights, amplified);
+  const spatialIndex = scorer.createSpatialIndex(gridMap);
+
+  // 3. Aggregated scores, one time slice per batch
+  const gridIds = [...gridMap.keys()];
+  let next = 0;
+  while (next < gridIds.length) {
+    const sliceEnd = Date.now() + SLICE_MS;
+    const cells = [];
+    while (next < gridIds.length && (cells.length === 0 || Date.now() < sliceEnd)) {
+      const gridId = gridIds[next++];
+      const scoreData = scorer.calculateAggregatedScore(
+        gridId,
+        gridMap,
+        weights,
+        baseScores,
+        amplified,
+        spatialIndex,
+      );
+      cells.push({
+        cellIndex: parseInt(gridId.split("_")[1]),
+        commodityCounts: gridMap.get(gridId).commodityCounts,
+        baseScore: scoreData.baseScore,
+        aggregatedScore: scoreData.aggregatedScore,
+        contributingGrids: scoreData.contributingGrids,
+      });
+    }
+
+    self.postMessage({ type: "progress", runId, cells, completed: next, total: gridIds.length });
+    await yieldToMessages();
+    if (runId !== currentRunId) return;
+  }
+
+  currentRunId = null;
+  self.postMessage({ type: "complete", runId, total: gridIds.length });
+}
+
+self.addEventListener("message", (event) => {
+  const message = event.data;
+
+  if (message.type === "cancel") {
+    if (message.runId === currentRunId) currentRunId = null;
+    return;
+  }
+
+  if (message.type === "score") {
+    // The run in progress stops at its next batch
+    currentRunId = message.runId;
+    score(message).catch((error) => {
+      if (message.runId === currentRunId) currentRunId = null;
+      self.postMessage({ type: "error", runId: message.runId, message: error.message });
+    });
+  }
+});